@@ -1,220 +1,689 @@
 // CLIENT-SIDE JS
-// Wait for DOM to load
+// Cards are rendered at build time from templates/index.html, this script only filters and sorts them.
+// Without JS the page lists every card and links to the static area pages (alue/<area>/<type>/).
 
 document.addEventListener('DOMContentLoaded', function() {
+    const itemCards = Array.from(document.querySelectorAll('.item-card'));
+    const visibleCount = document.getElementById('visibleCount');
+    const noResults = document.getElementById('noResults');
+    const pagination = document.getElementById('pagination');
+
+    // Written by the build from lostfound.config: paths to the site root, categories and UI strings
+    const config = readConfig();
+    const messages = Object.assign({
+        previousPage: '‹ Edellinen',
+        nextPage: 'Seuraava ›',
+        newSinceVisit: '{count} uutta edellisen käyntisi jälkeen',
+        savedSearchNew: '{count} uutta',
+        deleteSavedSearch: 'Poista haku {name}'
+    }, config.messages);
+
+    const ITEMS_PER_PAGE = 24;
+
+    // Query string parameter → filter element; the same names are used in links pre-rendered by the build
+    const FILTER_PARAMS = {
+        type: 'typeFilter',
+        area: 'areaFilter',
+        category: 'categoryFilter',
+        status: 'statusFilter',
+        q: 'searchInput',
+        sort: 'sortOrder',
+        from: 'dateFrom',
+        to: 'dateTo'
+    };
+    // Saved searches store these filters; status, sort order and dates are left out on purpose
+    const SAVED_SEARCH_PARAMS = ['type', 'area', 'category', 'q'];
+
+    // lastVisit is per browser, visitBaseline per tab so that reloading keeps the highlights
+    const STORAGE_KEYS = {
+        lastVisit: 'lostfound.lastVisit',
+        visitBaseline: 'lostfound.visitBaseline',
+        savedSearches: 'lostfound.savedSearches'
+    };
+
+    // Must match SEARCH_INDEX_VERSION in scripts/lib/search.js
+    const SEARCH_INDEX_VERSION = 2;
+
+    let matchingCards = itemCards;
+    let currentPage = 1;
+    // Search results of the current query: item id → { score, terms }, null without a query
+    let currentMatches = null;
+
+    // Build order (newest first) breaks ties when sorting
+    const cardOrder = new Map(itemCards.map((card, index) => [card, index]));
+    const highlightedCards = new Set();
+    // Title and summary text before highlighting
+    const originalTexts = new WeakMap();
+
+    // Items from data.json; saved search counts are computed from these, not from the cards
+    let dataItems = [];
+
+    // Written by the build (scripts/lib/search.js); until it loads, or if it fails, search falls back
+    // to substring matching against searchTexts
+    let searchIndex = null;
+    let stopWords = new Set();
+    const termMatchCache = new Map();
+
+    // Search matches the card text until data.json replaces it with full descriptions
+    const searchTexts = {};
+    itemCards.forEach(card => {
+        searchTexts[card.dataset.id] = normalizeText(card.textContent);
+    });
+
     console.log('📊 Loading data...');
 
-    // Load data from JSON
-    fetch('/data.json')
+    // The filters only work with JS, so the page shows them only now
+    const filters = document.getElementById('filters');
+    if (filters) filters.hidden = false;
+
+    fillCategoryOptions();
+
+    fetch(siteUrl('data.json'))
         .then(response => {
             if (!response.ok) throw new Error('Network response was not ok');
             return response.json();
         })
         .then(data => {
             console.log('✅ Data loaded:', data.items.length, 'items');
-            window.allItems = data.items;
-            initializeFilters(data.items);
-            renderItems(data.items);
+            data.items.forEach(item => {
+                searchTexts[item.id] = normalizeText(item.title + ' ' + (item.description || ''));
+            });
+            dataItems = data.items;
+            showUnseen(trackVisit(data));
+            renderSavedSearches();
+            filterItems(currentPage);
         })
         .catch(error => {
+            // Search still works against the card text
             console.error('❌ Error loading data:', error);
-            document.getElementById('itemsContainer').innerHTML =
-                '<div class="error-message">' +
-                '   <p>❌ Virhe datan latauksessa</p>' +
-                '   <p>Yritä myöhemmin uudelleen.</p>' +
-                '</div>';
         });
 
-    function initializeFilters(items) {
-        // Get unique areas
-        const areas = [...new Set(items.map(i => i.area).filter(Boolean))].sort();
-        const areaSelect = document.getElementById('areaFilter');
+    fetch(siteUrl('search-index.json'))
+        .then(response => {
+            if (!response.ok) throw new Error('Network response was not ok');
+            return response.json();
+        })
+        .then(index => {
+            if (index.version !== SEARCH_INDEX_VERSION) throw new Error('Unsupported search index version ' + index.version);
+            searchIndex = index;
+            stopWords = new Set(index.rules.stopWords);
+            termMatchCache.clear();
+            renderSavedSearches();
+            filterItems(currentPage);
+        })
+        .catch(error => {
+            console.error('❌ Error loading search index:', error);
+        });
+
+    renderSavedSearches();
+
+    function filterItems(page) {
+        const type = document.getElementById('typeFilter')?.value;
+        const area = document.getElementById('areaFilter')?.value;
+        const category = document.getElementById('categoryFilter')?.value;
+        const status = document.getElementById('statusFilter')?.value;
+        const sort = document.getElementById('sortOrder')?.value || '';
+        const from = getDayStart(document.getElementById('dateFrom')?.value, 0);
+        const to = getDayStart(document.getElementById('dateTo')?.value, 1);
+        currentMatches = findMatches(document.getElementById('searchInput')?.value || '');
+
+        matchingCards = itemCards
+            .filter(card => matchesFilters(card.dataset, { type, area, category, status, from, to, matches: currentMatches }))
+            .sort(compareCards(sort, currentMatches));
+        currentPage = page || 1;
+
+        const container = document.getElementById('itemsContainer');
+        if (container) matchingCards.forEach(card => container.appendChild(card));
+
+        if (visibleCount) visibleCount.textContent = matchingCards.length;
+        if (noResults) noResults.hidden = matchingCards.length > 0 || itemCards.length === 0;
+
+        showPage();
+    }
+
+    function showPage() {
+        const pageCount = Math.max(1, Math.ceil(matchingCards.length / ITEMS_PER_PAGE));
+        currentPage = Math.min(Math.max(currentPage, 1), pageCount);
+
+        const start = (currentPage - 1) * ITEMS_PER_PAGE;
+        const pageCards = new Set(matchingCards.slice(start, start + ITEMS_PER_PAGE));
+        itemCards.forEach(card => card.classList.toggle('hidden', !pageCards.has(card)));
+
+        highlightedCards.forEach(card => highlightCard(card, null));
+        if (currentMatches) {
+            pageCards.forEach(card => highlightCard(card, currentMatches.get(card.dataset.id).terms));
+        }
+
+        renderPagination(pageCount);
+    }
+
+    function readConfig() {
+        const element = document.getElementById('app-config');
+        if (!element) return {};
+        try {
+            return JSON.parse(element.textContent);
+        } catch (error) {
+            console.error('❌ Invalid app-config:', error);
+            return {};
+        }
+    }
+
+    // Relative root works from any subpath and from file://; basePath is the absolute fallback
+    function siteUrl(file) {
+        const root = config.root !== undefined ? config.root : (config.basePath || '');
+        return root + file;
+    }
+
+    // Templates that leave the category list out get it from the config
+    function fillCategoryOptions() {
+        const select = document.getElementById('categoryFilter');
+        if (!select || select.options.length > 1 || !Array.isArray(config.categories)) return;
 
-        areas.forEach(area => {
+        config.categories.forEach(category => {
             const option = document.createElement('option');
-            option.value = area;
-            option.textContent = area;
-            areaSelect.appendChild(option);
+            option.value = category.value;
+            option.textContent = category.label;
+            select.appendChild(option);
         });
+    }
 
-        // Get unique categories
-        const categories = [...new Set(items.map(i => i.category).filter(Boolean))].sort();
-        const categorySelect = document.getElementById('categoryFilter');
+    function renderPagination(pageCount) {
+        if (!pagination) return;
+        pagination.innerHTML = '';
+        if (pageCount <= 1) return;
+
+        pagination.appendChild(createPageButton(messages.previousPage, currentPage - 1, currentPage === 1));
+
+        getVisiblePageNumbers(pageCount).forEach(page => {
+            if (page === null) {
+                const gap = document.createElement('span');
+                gap.className = 'pagination-gap';
+                gap.textContent = '…';
+                pagination.appendChild(gap);
+            } else {
+                const button = createPageButton(String(page), page, false);
+                if (page === currentPage) {
+                    button.classList.add('active');
+                    button.setAttribute('aria-current', 'page');
+                }
+                pagination.appendChild(button);
+            }
+        });
 
-        categories.forEach(category => {
-            const option = document.createElement('option');
-            option.value = category;
-            option.textContent = getCategoryDisplayName(category);
-            categorySelect.appendChild(option);
-        });
-
-        // Type default + list (if present in HTML)
-        const typeSelect = document.getElementById('typeFilter');
-        if (typeSelect) {
-            // If type options are not already present in HTML, populate them.
-            const hasOptions = typeSelect.options && typeSelect.options.length > 0;
-            if (!hasOptions) {
-                const found = document.createElement('option');
-                found.value = 'FOUND';
-                found.textContent = 'Löytyneet';
-                typeSelect.appendChild(found);
-
-                const lost = document.createElement('option');
-                lost.value = 'LOST';
-                lost.textContent = 'Kadonneet';
-                typeSelect.appendChild(lost);
+        pagination.appendChild(createPageButton(messages.nextPage, currentPage + 1, currentPage === pageCount));
+    }
+
+    // First, last and the pages around the current one; null marks a gap
+    function getVisiblePageNumbers(pageCount) {
+        const pages = [];
+        for (let page = 1; page <= pageCount; page++) {
+            if (page === 1 || page === pageCount || Math.abs(page - currentPage) <= 2) {
+                pages.push(page);
+            } else if (pages[pages.length - 1] !== null) {
+                pages.push(null);
             }
         }
+        return pages;
+    }
 
-        // Add event listeners
-        const typeEl = document.getElementById('typeFilter');
-        if (typeEl) typeEl.addEventListener('change', filterItems);
+    function createPageButton(label, page, disabled) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'pagination-button';
+        button.textContent = label;
+        button.disabled = disabled;
+        button.addEventListener('click', () => {
+            currentPage = page;
+            showPage();
+            updateUrl(true);
+            document.getElementById('itemsContainer')?.scrollIntoView({ behavior: 'smooth' });
+        });
+        return button;
+    }
 
-        areaSelect.addEventListener('change', filterItems);
-        document.getElementById('categoryFilter').addEventListener('change', filterItems);
-        document.getElementById('statusFilter').addEventListener('change', filterItems);
-        document.getElementById('searchInput').addEventListener('input', filterItems);
+    // fields is a card's dataset or an item from data.json
+    function matchesFilters(fields, filters) {
+        // Type filter (FOUND/LOST)
+        if (filters.type && fields.type !== filters.type) return false;
 
-        // Apply initial render with default type if present
-        filterItems();
+        // Area filter
+        if (filters.area && fields.area !== filters.area) return false;
+
+        // Category filter
+        if (filters.category && fields.category !== filters.category) return false;
+
+        // Status filter (lowercase status code from lostfound.config)
+        if (filters.status && fields.status.toLowerCase() !== filters.status) return false;
+
+        // Date range: from is the start of the first day, to the start of the day after the last one
+        if (filters.from && !(Date.parse(fields.timestamp) >= filters.from)) return false;
+        if (filters.to && !(Date.parse(fields.timestamp) < filters.to)) return false;
+
+        // Search filter
+        if (filters.matches && !filters.matches.has(fields.id)) return false;
+
+        return true;
     }
 
-    function filterItems() {
-        const area = document.getElementById('areaFilter')?.value;
-        const category = document.getElementById('categoryFilter')?.value;
-        const status = document.getElementById('statusFilter')?.value;
-        const search = document.getElementById('searchInput')?.value?.toLowerCase() || '';
-        const type = document.getElementById('typeFilter')?.value;
+    // Start of a local day from a date input value (YYYY-MM-DD) plus addDays, or null
+    function getDayStart(value, addDays) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+        return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]) + addDays).getTime() : null;
+    }
+
+    function compareCards(sort, matches) {
+        const time = card => Date.parse(card.dataset.timestamp) || 0;
+        const byOrder = (a, b) => cardOrder.get(a) - cardOrder.get(b);
 
-        const filtered = window.allItems.filter(item => {
-            // Type filter (FOUND/LOST)
-            if (type && item.type !== type) return false;
+        if (sort === 'newest') return (a, b) => time(b) - time(a) || byOrder(a, b);
+        if (sort === 'oldest') return (a, b) => time(a) - time(b) || byOrder(a, b);
+        if (sort === 'area') {
+            return (a, b) => a.dataset.area.localeCompare(b.dataset.area, config.locale) || time(b) - time(a) || byOrder(a, b);
+        }
+        // Best match first; without a search the build order is kept
+        if (!matches) return byOrder;
+        return (a, b) => matches.get(b.dataset.id).score - matches.get(a.dataset.id).score || byOrder(a, b);
+    }
+
+    // Same normalisation as scripts/lib/text.js: ä, ö and å are often typed without the dots
+    function normalizeText(text) {
+        return String(text || '')
+            .toLowerCase()
+            .replace(/[äå]/g, 'a')
+            .replace(/ö/g, 'o')
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim();
+    }
 
-            // Area filter
-            if (area && item.area !== area) return false;
+    // stemWord() in scripts/lib/text.js; the rules come with the index so that both sides always agree
+    function stemWord(word) {
+        const rules = searchIndex.rules;
+        const suffix = rules.suffixes.find(s => word.endsWith(s) && word.length - s.length >= rules.minStem);
+        return (suffix ? word.slice(0, -suffix.length) : word).replace(/(.)\1+/g, '$1');
+    }
 
-            // Category filter
-            if (category && item.category !== category) return false;
+    // Item id → { score, terms }; null when the query has nothing to search for
+    function findMatches(query) {
+        if (!searchIndex) {
+            const text = normalizeText(query);
+            if (!text) return null;
+            const matches = new Map();
+            Object.keys(searchTexts).forEach(id => {
+                if (searchTexts[id].includes(text)) matches.set(id, { score: 0, terms: new Set() });
+            });
+            return matches;
+        }
 
-            // Status filter
-            if (status) {
-                if (status === 'approved' && item.status !== 'APPROVED') return false;
-                if (status === 'resolved' && item.status !== 'RESOLVED') return false;
+        const words = normalizeText(query).split(' ').filter(word => word && !stopWords.has(word));
+        if (words.length === 0) return null;
+
+        // Every word has to match; an item scores its best matching term for each word
+        let results = null;
+        words.forEach(word => {
+            const wordResults = new Map();
+            getTermMatches(word).forEach(({ term, quality }) => {
+                const postings = searchIndex.terms[term];
+                for (let i = 0; i < postings.length; i += 2) {
+                    const id = searchIndex.ids[postings[i]];
+                    const result = wordResults.get(id) || { score: 0, terms: new Set() };
+                    result.score = Math.max(result.score, quality * postings[i + 1]);
+                    result.terms.add(term);
+                    wordResults.set(id, result);
+                }
+            });
+
+            if (results === null) {
+                results = wordResults;
+                return;
             }
+            const combined = new Map();
+            results.forEach((result, id) => {
+                const wordResult = wordResults.get(id);
+                if (!wordResult) return;
+                wordResult.terms.forEach(term => result.terms.add(term));
+                combined.set(id, { score: result.score + wordResult.score, terms: result.terms });
+            });
+            results = combined;
+        });
+        return results;
+    }
 
-            // Search filter
-            if (search) {
-                const searchText = (item.title + ' ' + (item.description || '')).toLowerCase();
-                if (!searchText.includes(search)) return false;
+    // Index terms that a query word can mean, with 1 for an exact match. Different endings of the
+    // same word ("avain" → "ava", "avaimet" → "avaim") match as prefixes, compound words
+    // ("nahkalompakko") by the end and typos by edit distance. Words shorter than a stem are still
+    // being typed and only match as prefixes.
+    function getTermMatches(word) {
+        if (termMatchCache.has(word)) return termMatchCache.get(word);
+
+        const minStem = searchIndex.rules.minStem;
+        const stem = word.length >= minStem ? stemWord(word) : word;
+        const maxDistance = word.length >= 8 ? 2 : word.length >= 5 ? 1 : 0;
+        const matches = [];
+
+        Object.keys(searchIndex.terms).forEach(term => {
+            let quality = 0;
+            if (term === stem) {
+                quality = 1;
+            } else if (term.startsWith(stem) || (word.length >= minStem && term.length >= minStem && stem.startsWith(term))) {
+                quality = 0.75;
+            } else if (maxDistance > 0 && (term.endsWith(stem) || editDistance(stem, term, maxDistance) <= maxDistance)) {
+                quality = 0.5;
             }
+            if (quality > 0) matches.push({ term, quality });
+        });
+
+        termMatchCache.set(word, matches);
+        return matches;
+    }
 
-            return true;
+    // Levenshtein distance with adjacent transpositions; stops early once it exceeds max
+    function editDistance(a, b, max) {
+        if (Math.abs(a.length - b.length) > max) return max + 1;
+
+        let previous2 = null;
+        let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+                if (previous2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    current[j] = Math.min(current[j], previous2[j - 2] + 1);
+                }
+                rowMin = Math.min(rowMin, current[j]);
+            }
+            if (rowMin > max) return max + 1;
+            previous2 = previous;
+            previous = current;
+        }
+        return previous[b.length];
+    }
+
+    // Marks the words of the card title and summary whose stem is one of the matched terms.
+    // terms null restores the original text.
+    function highlightCard(card, terms) {
+        card.querySelectorAll('.item-title a, .item-description').forEach(element => {
+            if (!originalTexts.has(element)) originalTexts.set(element, element.textContent);
+            const text = originalTexts.get(element);
+            element.textContent = '';
+
+            text.split(/([\p{L}\p{N}]+)/u).forEach((part, index) => {
+                // Odd indexes are the words captured by split
+                if (index % 2 === 1 && terms && isMatchingWord(part, terms)) {
+                    const mark = document.createElement('mark');
+                    mark.className = 'search-highlight';
+                    mark.textContent = part;
+                    element.appendChild(mark);
+                } else if (part) {
+                    element.appendChild(document.createTextNode(part));
+                }
+            });
         });
 
-        renderItems(filtered);
+        if (terms) highlightedCards.add(card);
+        else highlightedCards.delete(card);
     }
 
-    function renderItems(items) {
-        const container = document.getElementById('itemsContainer');
+    function isMatchingWord(word, terms) {
+        const normalized = normalizeText(word);
+        if (!searchIndex || normalized.length < searchIndex.rules.minStem || stopWords.has(normalized)) return false;
+        return terms.has(stemWord(normalized));
+    }
 
-        if (items.length === 0) {
-            container.innerHTML =
-                '<div class="no-items">' +
-                '   <p>😔 Ei löytynyt ilmoituksia valituilla suodattimilla.</p>' +
-                '   <p>Kokeile muuttaa hakuehtoja.</p>' +
-                '</div>';
-            return;
+    function formatMessage(message, vars) {
+        return message.replace(/\{(\w+)\}/g, (match, name) => (name in vars ? vars[name] : match));
+    }
+
+    // Private browsing and file:// may refuse storage; the page then works without these features
+    function readStorage(storage, key) {
+        try {
+            const value = window[storage].getItem(key);
+            return value ? JSON.parse(value) : null;
+        } catch (error) {
+            return null;
         }
+    }
 
-        let html = '';
-
-        items.forEach(item => {
-            const statusClass = (item.status || '').toLowerCase();
-            const statusText = item.status === 'APPROVED' ? 'Avoin' : 'Ratkaistu';
-
-            html += `
-                <article class="item-card" data-id="${item.id}" data-category="${item.category}">
-                    <div class="item-image-container">
-                        ${item.imageUrl ? `
-                            <img src="${item.imageUrl}" 
-                                 alt="${escapeHtml(item.title)}" 
-                                 class="item-image"
-                                 loading="lazy">
-                        ` : `
-                            <div class="no-image">
-                                <span>Ei kuvaa</span>
-                            </div>
-                        `}
-                        <div class="item-status ${statusClass}">
-                            ${statusText}
-                        </div>
-                    </div>
-
-                    <div class="item-content">
-                        <h3 class="item-title">${escapeHtml(item.title)}</h3>
-
-                        <div class="item-meta">
-                            <span class="meta-item">
-                                <svg class="icon"><use href="#icon-location"></use></svg>
-                                ${escapeHtml(item.area || 'Ei määritelty')}
-                            </span>
-
-                            <span class="meta-item">
-                                <svg class="icon"><use href="#icon-category"></use></svg>
-                                ${getCategoryDisplayName(item.category)}
-                            </span>
-
-                            <span class="meta-item">
-                                <svg class="icon"><use href="#icon-date"></use></svg>
-                                ${formatDate(item.timestamp)}
-                            </span>
-                        </div>
-
-                        <p class="item-description">
-                            ${truncateText(escapeHtml(item.description || ''), 100)}
-                        </p>
-
-                        <div class="item-actions">
-                            <span class="item-id">#${item.id}</span>
-                        </div>
-                    </div>
-                </article>
-            `;
-        });
-
-        container.innerHTML = html;
-    }
-
-    // Helper functions
-    function escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
-    }
-
-    function truncateText(text, maxLength) {
-        if (text.length <= maxLength) return text;
-        return text.substring(0, maxLength) + '...';
-    }
-
-    function formatDate(isoString) {
-        if (!isoString) return 'Ei päivämäärää';
-        const date = new Date(isoString);
-        return date.toLocaleDateString('fi-FI');
-    }
-
-    function getCategoryDisplayName(category) {
-        const map = {
-            'ELECTRONICS': 'Elektroniikka',
-            'CLOTHING': 'Vaatteet',
-            'DOCUMENTS': 'Asiakirjat',
-            'KEYS': 'Avaimet',
-            'WALLET': 'Lompakko',
-            'JEWELRY': 'Koru',
-            'BAG': 'Laukku',
-            'OTHER': 'Muu'
-        };
-        return map[category] || category;
+    function writeStorage(storage, key, value) {
+        try {
+            window[storage].setItem(key, JSON.stringify(value));
+        } catch (error) {
+            console.warn('⚠️ Could not save to ' + storage + ':', error);
+        }
     }
-});
 
+    // New since the last visit: ids missing from the item list of the previous build this browser saw.
+    // The first visit highlights nothing.
+    function trackVisit(data) {
+        const ids = data.items.map(item => item.id);
+        const lastVisit = readStorage('localStorage', STORAGE_KEYS.lastVisit);
+        let baseline = readStorage('sessionStorage', STORAGE_KEYS.visitBaseline);
+
+        if (lastVisit && Array.isArray(lastVisit.ids) && lastVisit.buildId !== data.buildId) {
+            baseline = { buildId: lastVisit.buildId, ids: lastVisit.ids };
+            writeStorage('sessionStorage', STORAGE_KEYS.visitBaseline, baseline);
+        }
+        writeStorage('localStorage', STORAGE_KEYS.lastVisit, {
+            buildId: data.buildId,
+            ids,
+            visitedAt: new Date().toISOString()
+        });
+
+        if (!baseline || !Array.isArray(baseline.ids) || baseline.buildId === data.buildId) return new Set();
+        const seen = new Set(baseline.ids);
+        return new Set(ids.filter(id => !seen.has(id)));
+    }
+
+    function showUnseen(unseenIds) {
+        let count = 0;
+        itemCards.forEach(card => {
+            const unseen = unseenIds.has(card.dataset.id);
+            card.classList.toggle('unseen', unseen);
+            if (unseen) count++;
+        });
+
+        const summary = document.getElementById('visitSummary');
+        if (!summary) return;
+        summary.textContent = formatMessage(messages.newSinceVisit, { count });
+        summary.hidden = count === 0;
+    }
+
+    function getSavedSearches() {
+        const searches = readStorage('localStorage', STORAGE_KEYS.savedSearches);
+        return Array.isArray(searches) ? searches.filter(search => search && search.name && search.filters) : [];
+    }
+
+    function getSearchMatches(filters) {
+        const matches = findMatches(filters.q || '');
+        return dataItems
+            .filter(item => matchesFilters(item, Object.assign({}, filters, { matches })))
+            .map(item => item.id);
+    }
+
+    // Matches are remembered when a search is saved or opened; anything else matching later counts as new
+    function saveSearch(name) {
+        const filters = {};
+        SAVED_SEARCH_PARAMS.forEach(param => {
+            const element = document.getElementById(FILTER_PARAMS[param]);
+            const value = element ? element.value.trim() : '';
+            if (value) filters[param] = value;
+        });
+
+        const searches = getSavedSearches().filter(search => search.name !== name);
+        searches.push({
+            name,
+            filters,
+            seenIds: dataItems.length > 0 ? getSearchMatches(filters) : matchingCards.map(card => card.dataset.id)
+        });
+        writeStorage('localStorage', STORAGE_KEYS.savedSearches, searches);
+        renderSavedSearches();
+    }
+
+    function openSavedSearch(name) {
+        const searches = getSavedSearches();
+        const saved = searches.find(search => search.name === name);
+        if (!saved) return;
+
+        Object.keys(FILTER_PARAMS).forEach(param => {
+            const element = document.getElementById(FILTER_PARAMS[param]);
+            if (element) setFieldValue(element, saved.filters[param] || null);
+        });
+        filterItems();
+        updateUrl(true);
+
+        if (dataItems.length > 0) {
+            saved.seenIds = getSearchMatches(saved.filters);
+            writeStorage('localStorage', STORAGE_KEYS.savedSearches, searches);
+        }
+        renderSavedSearches();
+    }
+
+    function deleteSavedSearch(name) {
+        writeStorage('localStorage', STORAGE_KEYS.savedSearches, getSavedSearches().filter(search => search.name !== name));
+        renderSavedSearches();
+    }
+
+    function renderSavedSearches() {
+        const container = document.getElementById('savedSearches');
+        const list = document.getElementById('savedSearchList');
+        if (!container || !list) return;
+
+        const searches = getSavedSearches();
+        list.innerHTML = '';
+        container.hidden = searches.length === 0;
+
+        searches.forEach(search => {
+            const item = document.createElement('li');
+            item.className = 'saved-search';
+
+            const open = document.createElement('button');
+            open.type = 'button';
+            open.className = 'saved-search-open';
+            open.textContent = search.name;
+            open.addEventListener('click', () => openSavedSearch(search.name));
+
+            // Counts need data.json; before it loads (or offline without a cached copy) only names are shown
+            if (dataItems.length > 0) {
+                const seen = new Set(Array.isArray(search.seenIds) ? search.seenIds : []);
+                const newCount = getSearchMatches(search.filters).filter(id => !seen.has(id)).length;
+                if (newCount > 0) {
+                    const badge = document.createElement('span');
+                    badge.className = 'saved-search-new';
+                    badge.textContent = formatMessage(messages.savedSearchNew, { count: newCount });
+                    open.appendChild(badge);
+                }
+            }
+
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'saved-search-delete';
+            remove.textContent = '×';
+            remove.setAttribute('aria-label', formatMessage(messages.deleteSavedSearch, { name: search.name }));
+            remove.addEventListener('click', () => deleteSavedSearch(search.name));
+
+            item.appendChild(open);
+            item.appendChild(remove);
+            list.appendChild(item);
+        });
+    }
+
+    // Filter state in the URL: ?type=LOST&area=Kallio&page=2. Hash links (#type=LOST&area=Kallio)
+    // are accepted too, for places that strip query strings, and are rewritten into the query string.
+    function readUrlState() {
+        const hash = new URLSearchParams(window.location.hash.slice(1));
+        const hasHashState = Object.keys(FILTER_PARAMS).concat('page').some(name => hash.has(name));
+        const params = hasHashState ? hash : new URLSearchParams(window.location.search);
+
+        const page = parseInt(params.get('page'), 10);
+        return { params, page: page > 0 ? page : 1, fromHash: hasHashState };
+    }
+
+    function getDefaultValue(element) {
+        if (element.tagName !== 'SELECT') return '';
+        const option = Array.from(element.options).find(o => o.defaultSelected) || element.options[0];
+        return option ? option.value : '';
+    }
+
+    function setFieldValue(element, value) {
+        // Unknown values (an area with no items left, a typo in a shared link) fall back to the default
+        const valid = element.tagName !== 'SELECT' || Array.from(element.options).some(o => o.value === value);
+        element.value = value !== null && valid ? value : getDefaultValue(element);
+    }
+
+    function restoreFromUrl() {
+        const state = readUrlState();
+        Object.keys(FILTER_PARAMS).forEach(name => {
+            const element = document.getElementById(FILTER_PARAMS[name]);
+            if (element) setFieldValue(element, state.params.get(name));
+        });
+        filterItems(state.page);
+        // Hash state and out-of-range pages are normalised in place
+        if (state.fromHash || state.page !== currentPage) updateUrl(false);
+    }
+
+    // Defaults are left out so that the plain page URL stays clean
+    function updateUrl(push) {
+        const params = new URLSearchParams();
+        Object.keys(FILTER_PARAMS).forEach(name => {
+            const element = document.getElementById(FILTER_PARAMS[name]);
+            const value = element ? element.value.trim() : '';
+            if (element && value && value !== getDefaultValue(element)) params.set(name, value);
+        });
+        if (currentPage > 1) params.set('page', String(currentPage));
+
+        const query = params.toString();
+        const url = window.location.pathname + (query ? '?' + query : '');
+        if (url === window.location.pathname + window.location.search && !window.location.hash) return;
+
+        window.history[push ? 'pushState' : 'replaceState'](null, '', url);
+    }
+
+    Object.keys(FILTER_PARAMS).forEach(name => {
+        const el = document.getElementById(FILTER_PARAMS[name]);
+        if (!el) return;
+        if (el.tagName === 'SELECT' || el.type === 'date') {
+            el.addEventListener('change', () => {
+                filterItems();
+                updateUrl(true);
+            });
+        } else {
+            // Typing replaces the entry instead of adding one history step per key
+            el.addEventListener('input', () => {
+                filterItems();
+                updateUrl(false);
+            });
+        }
+    });
+
+    // Area/type links lead to static pages without JS; here they filter the list in place
+    document.querySelectorAll('a.area-link[data-type][data-area]').forEach(link => {
+        link.addEventListener('click', event => {
+            if (event.metaKey || event.ctrlKey || event.shiftKey || event.button !== 0) return;
+            event.preventDefault();
+            const params = new URLSearchParams({ type: link.dataset.type, area: link.dataset.area });
+            window.history.pushState(null, '', window.location.pathname + '?' + params);
+            restoreFromUrl();
+            document.querySelector('.filters-container')?.scrollIntoView({ behavior: 'smooth' });
+        });
+    });
+
+    const savedSearchForm = document.getElementById('savedSearchForm');
+    if (savedSearchForm) {
+        savedSearchForm.addEventListener('submit', event => {
+            event.preventDefault();
+            const input = document.getElementById('savedSearchName');
+            const name = input.value.trim();
+            if (!name) return;
+            saveSearch(name);
+            input.value = '';
+        });
+    }
+
+    window.addEventListener('popstate', restoreFromUrl);
+    window.addEventListener('hashchange', restoreFromUrl);
+
+    restoreFromUrl();
+});
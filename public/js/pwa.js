@@ -0,0 +1,72 @@
+// SERVICE WORKER AND OFFLINE BANNER
+// Loaded on every page. The worker (sw.js in the site root) is written by the build, see scripts/lib/pwa.js.
+
+(function() {
+    const script = document.currentScript;
+    const root = (script && script.dataset.root) || '';
+
+    if ('serviceWorker' in navigator) {
+        window.addEventListener('load', () => {
+            navigator.serviceWorker.register(root + 'sw.js').catch(error => {
+                console.error('❌ Service worker registration failed:', error);
+            });
+        });
+    }
+
+    document.addEventListener('DOMContentLoaded', function() {
+        const banner = document.getElementById('offlineBanner');
+        if (!banner) return;
+
+        // Offline, the worker answers with the cached data.json; its timestamp tells how old the page is
+        let dataInfo = null;
+
+        function loadDataInfo() {
+            if (dataInfo) return Promise.resolve(dataInfo);
+            return fetch(root + 'data.json')
+                .then(response => {
+                    if (!response.ok) throw new Error('Network response was not ok');
+                    return response.json();
+                })
+                .then(data => {
+                    dataInfo = { timestamp: data.timestamp, buildId: data.buildId };
+                    return dataInfo;
+                });
+        }
+
+        function formatTime(timestamp) {
+            const date = new Date(timestamp);
+            if (Number.isNaN(date.getTime())) return timestamp;
+            return date.toLocaleString(document.documentElement.lang || undefined, {
+                day: 'numeric',
+                month: 'numeric',
+                year: 'numeric',
+                hour: '2-digit',
+                minute: '2-digit'
+            });
+        }
+
+        function updateBanner() {
+            if (navigator.onLine) {
+                banner.hidden = true;
+                return;
+            }
+
+            banner.textContent = banner.dataset.messageUnknown;
+            banner.hidden = false;
+            loadDataInfo()
+                .then(info => {
+                    if (navigator.onLine) return;
+                    banner.textContent = banner.dataset.message
+                        .replace('{time}', formatTime(info.timestamp))
+                        .replace('{build}', info.buildId);
+                })
+                .catch(() => {
+                    // No cached data either; the generic message stays
+                });
+        }
+
+        window.addEventListener('online', updateBanner);
+        window.addEventListener('offline', updateBanner);
+        updateBanner();
+    });
+})();
@@ -1,482 +1,1064 @@
-import { initializeApp, cert } from "firebase-admin/app";
-import { getFirestore } from "firebase-admin/firestore";
-import { writeFile, mkdir, readFile } from "fs/promises";
+import { writeFile, mkdir, cp, rm } from "fs/promises";
 import { existsSync } from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
+import { parseArgs } from "util";
 import { config } from "dotenv";
+import {
+  truncateText,
+  formatDate,
+  getCategoryName,
+  getTypeName,
+  getStatusName,
+  getItemPagePath,
+} from "./lib/format.js";
+import { writeFeeds } from "./lib/feeds.js";
+import { writeExports } from "./lib/exports.js";
+import { writeEmbedFiles } from "./lib/embed.js";
+import { writeSearchIndex } from "./lib/search.js";
+import { createSlugMap, TYPE_SLUGS } from "./lib/slug.js";
+import { writePwaFiles, THEME_COLOR } from "./lib/pwa.js";
+import { mirrorImages } from "./lib/images.js";
+import { findMatches } from "./lib/matching.js";
+import { loadPreviousData, writeChanges, savePreviousData, hasChanges, getUpdatedTimes } from "./lib/changes.js";
+import { loadHistory, saveHistory, updateHistory, getStatistics, getHistoryDate } from "./lib/history.js";
+import { renderColumnChart, renderLineChart, renderBarList } from "./lib/charts.js";
+import { renderQrSvg } from "./lib/qr.js";
+import {
+  describeItem,
+  getSeoData,
+  getItemJsonLd,
+  getIndexJsonLd,
+  renderSitemap,
+  renderRobots,
+} from "./lib/seo.js";
+import { loadTemplate, rawJson, rawHtml } from "./lib/template.js";
+import {
+  LOCALES,
+  getLocalePrefix,
+  getTemplateMessages,
+  getClientMessages,
+  setCategoryLabels,
+  setStatusLabels,
+  t,
+} from "./lib/i18n.js";
+import { loadConfig } from "./lib/config.js";
+import { normalizeDocuments } from "./lib/normalize.js";
+import { redactItems, writeRedactionReport } from "./lib/redact.js";
+import { checkPublishGuards, DEFAULT_GUARD_LIMITS } from "./lib/guards.js";
+import { createBuildReport, timed, addWarnings, writeBuildReport } from "./lib/build-report.js";
+import { createDataSource } from "./sources/index.js";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 config({ path: path.join(__dirname, "../.env") });
 
-function escapeHtml(text) {
-  if (text === null || text === undefined) return "";
-  return String(text)
-    .replace(/&/g, "&amp;")
-    .replace(/</g, "&lt;")
-    .replace(/>/g, "&gt;")
-    .replace(/"/g, "&quot;")
-    .replace(/'/g, "&#039;");
+const rootDir = path.join(__dirname, "..");
+const templatesDir = path.join(__dirname, "../templates");
+const publicDir = path.join(__dirname, "../public");
+const imageCacheDir = path.join(__dirname, "../.cache/images");
+const previousDataPath = path.join(__dirname, "../.cache/previous/data.json");
+// Tilastosivun historia kertyy buildista toiseen samassa välimuistissa
+const historyPath = path.join(__dirname, "../.cache/history/history.json");
+// Moderaattoreiden raportti peitetyistä henkilötiedoista; ei koskaan dist/-hakemistoon
+const redactionReportPath = path.join(__dirname, "../reports/redactions.json");
+const buildReportPath = path.join(__dirname, "../reports/build-report.json");
+
+// Workflow tunnistaa tästä, ettei julkaistavaa ole (ks. build-and-deploy.yml)
+const EXIT_NO_CHANGES = 3;
+
+function readPositiveInt(name, fallback) {
+  const raw = process.env[name];
+  if (raw === undefined || raw === "") return fallback;
+
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value <= 0) {
+    throw new Error(`${name} must be a positive integer, got "${raw}"`);
+  }
+  return value;
 }
 
-function truncateText(text, maxLength) {
-  const s = text === null || text === undefined ? "" : String(text);
-  if (s.length <= maxLength) return s;
-  return s.substring(0, maxLength) + "...";
-}
+function readPercent(name, fallback) {
+  const raw = process.env[name];
+  if (raw === undefined || raw === "") return fallback;
 
-function formatDate(isoString) {
-  if (!isoString) return "Ei päivämäärää";
-  try {
-    const date = new Date(isoString);
-    return date.toLocaleDateString("fi-FI", {
-      day: "2-digit",
-      month: "2-digit",
-      year: "numeric",
-    });
-  } catch {
-    return "Virheellinen päivämäärä";
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value < 0 || value > 100) {
+    throw new Error(`${name} must be a percentage between 0 and 100, got "${raw}"`);
   }
+  return value;
 }
 
-function getCategoryName(category) {
-  const map = {
-    ELECTRONICS: "Elektroniikka",
-    CLOTHING: "Vaatteet",
-    DOCUMENTS: "Asiakirjat",
-    KEYS: "Avaimet",
-    WALLET: "Lompakko",
-    JEWELRY: "Koru",
-    BAG: "Laukku",
-    OTHER: "Muu",
+function readGuardLimits() {
+  return {
+    minItems: readPositiveInt("GUARD_MIN_ITEMS", DEFAULT_GUARD_LIMITS.minItems),
+    maxDropPercent: readPercent("GUARD_MAX_DROP_PERCENT", DEFAULT_GUARD_LIMITS.maxDropPercent),
+    maxRejectedPercent: readPercent("GUARD_MAX_REJECTED_PERCENT", DEFAULT_GUARD_LIMITS.maxRejectedPercent),
   };
-  return map[category] || category;
 }
 
-async function fetchData() {
-  console.log("📥 Fetching data from Firebase...");
+function parseCliArgs() {
+  const { values } = parseArgs({
+    options: {
+      source: { type: "string" },
+      fixtures: { type: "string" },
+      previous: { type: "string" },
+      force: { type: "boolean", default: false },
+      config: { type: "string" },
+      collection: { type: "string" },
+      "out-dir": { type: "string" },
+      "site-url": { type: "string" },
+      "base-path": { type: "string" },
+    },
+  });
+  return values;
+}
 
-  try {
-    let serviceAccount;
-    if (process.env.FIREBASE_SERVICE_ACCOUNT_JSON) {
-      serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT_JSON);
-    } else {
-      const rootCredsPath = path.join(__dirname, "../firebase-service-account.json");
-      if (existsSync(rootCredsPath)) {
-        console.log("📄 Loading Firebase credentials from local file: firebase-service-account.json");
-        const credsContent = await readFile(rootCredsPath, "utf8");
-        serviceAccount = JSON.parse(credsContent);
-      } else {
-        throw new Error("FIREBASE_SERVICE_ACCOUNT_JSON environment variable is not defined and firebase-service-account.json was not found in the root directory.");
-      }
-    }
+function printValidationSummary({ total, rejected, repaired }) {
+  const MAX_LINES = 20;
+
+  console.log(
+    `🔎 Validated ${total} documents: ${total - rejected.length} accepted, ` +
+      `${repaired.length} repaired, ${rejected.length} rejected`,
+  );
+
+  const lines = [
+    ...rejected.map((r) => `   ❌ ${r.id}: ${[r.error, ...r.warnings].join("; ")}`),
+    ...repaired.map((r) => `   🔧 ${r.id}: ${r.warnings.join("; ")}`),
+  ];
+  lines.slice(0, MAX_LINES).forEach((line) => console.log(line));
+  if (lines.length > MAX_LINES) {
+    console.log(`   ... and ${lines.length - MAX_LINES} more`);
+  }
+}
 
-    initializeApp({ credential: cert(serviceAccount) });
-    const db = getFirestore();
-
-    const snapshot = await db
-      .collection("lostItems")
-      .where("status", "in", ["APPROVED", "RESOLVED"])
-      .orderBy("timestamp", "desc")
-      .limit(100)
-      .get();
-
-    const items = [];
-    const areasSet = new Set();
-
-    snapshot.forEach((doc) => {
-      const data = doc.data();
-
-      // Muunna kuvan URL oikeaan muotoon
-      let imageUrl = null;
-      if (data.imageUrl1) {
-        if (String(data.imageUrl1).includes("http")) {
-          imageUrl = data.imageUrl1;
-        } else {
-          const fileName = String(data.imageUrl1).replace("lost-items/", "");
-          imageUrl = `${process.env.SUPABASE_URL}/storage/v1/object/public/lost-items/${fileName}`;
-        }
-      }
+function printGuardSummary(guards) {
+  const failed = guards.filter((guard) => !guard.passed);
+  if (failed.length === 0) {
+    console.log(`🚦 Publish guards passed (${guards.map((guard) => guard.name).join(", ")})`);
+    return;
+  }
+  for (const guard of failed) {
+    console.error(`   🚫 ${guard.name}: ${guard.message}`);
+  }
+}
 
-      const area = data.area || "Tuntematon";
-      areasSet.add(area);
-
-      const category = data.category || "OTHER";
-      const type = category === "LOST" ? "LOST" : "FOUND";
-
-      items.push({
-        id: doc.id,
-        title: data.title || "Ei nimeä",
-        description: data.description || "",
-        area,
-        category,
-        type,
-        status: data.status || "APPROVED",
-        timestamp:
-          data.timestamp?.toDate?.()?.toISOString() || new Date().toISOString(),
-        imageUrl,
-        facebookLink: data.facebookLink || null,
-        instagramLink: data.instagramLink || null,
-      });
+// Lokiin vain määrät; löydetyt arvot ovat vain raportissa
+function printRedactionSummary(redactions) {
+  if (redactions.length === 0) return;
+
+  const counts = {};
+  for (const finding of redactions.flatMap((entry) => entry.findings)) {
+    counts[finding.kind] = (counts[finding.kind] || 0) + 1;
+  }
+  const summary = Object.entries(counts)
+    .map(([kind, count]) => `${count} ${kind}`)
+    .join(", ");
+  console.log(`🛡️  Redacted personal data in ${redactions.length} items: ${summary}`);
+}
+
+async function fetchData(source, config) {
+  console.log(`📥 Fetching data from ${source.label}...`);
+
+  try {
+    const docs = await source.fetchDocuments();
+
+    const normalized = normalizeDocuments(docs, {
+      statuses: config.statuses,
+      categories: config.categories,
+      fallbackCategory: config.fallbackCategory,
+      fallbackTitle: config.fallbackTitle,
+      fallbackArea: config.fallbackArea,
+      supabaseUrl: process.env.SUPABASE_URL,
     });
+    const { rejected, repaired } = normalized;
+    printValidationSummary({ total: docs.length, rejected, repaired });
 
-    const areas = Array.from(areasSet).sort();
+    // Henkilötiedot peitetään heti, jotta mikään myöhempi vaihe ei näe alkuperäistä tekstiä
+    const { items, report: redactions } = redactItems(normalized.items);
+    printRedactionSummary(redactions);
+
+    const areas = Array.from(new Set(items.map((item) => item.area))).sort();
 
     console.log(`✅ Found ${items.length} items`);
     console.log(`🗺️  Areas found: ${areas.length} (${areas.join(", ")})`);
 
-    return { items, areas };
+    return { items, areas, validation: { total: docs.length, rejected, repaired }, redactions, error: null };
   } catch (error) {
-    console.error("❌ Error fetching from Firebase:", error.message);
-    if (process.env.GITHUB_ACTIONS) {
+    console.error(`❌ Error fetching from ${source.label}:`, error.message);
+    // Fixtuurivirhe on aina kehittäjän virhe, joten sitä ei ohiteta tyhjällä sivulla
+    if (process.env.GITHUB_ACTIONS || source.name === "local") {
       throw error;
     }
-    return { items: [], areas: [] };
+    // Tyhjä tulos pysähtyy julkaisun varmistuksiin (min-items), ellei buildia ajeta --force-valitsimella
+    return {
+      items: [],
+      areas: [],
+      validation: { total: 0, rejected: [], repaired: [] },
+      redactions: [],
+      error: error.message,
+    };
   }
 }
 
-function generateHtml({ items, areas }) {
-  const date = new Date();
-  const formattedDate = date.toLocaleDateString("fi-FI", {
-    weekday: "long",
-    year: "numeric",
-    month: "long",
-    day: "numeric",
-    hour: "2-digit",
-    minute: "2-digit",
+// Paikallisen buildin osoite, kun siteUrl- ja GITHUB_USERNAME-asetuksia ei ole; ei kelpaa julkaisuun
+const PLACEHOLDER_SITE_URL = "https://yourusername.github.io/lostfound-snapshot/";
+
+// Syötteet ja muut ulos jaettavat linkit tarvitsevat absoluuttisen osoitteen; null, jos sitä ei ole asetettu
+function getSiteUrl(config) {
+  if (!config.siteUrl && !process.env.GITHUB_USERNAME) return null;
+  const url =
+    config.siteUrl || `https://${process.env.GITHUB_USERNAME}.github.io${config.basePath || "/lostfound-snapshot/"}`;
+  return url.endsWith("/") ? url : `${url}/`;
+}
+
+function getBuildInfo(config) {
+  const siteUrl = getSiteUrl(config) || PLACEHOLDER_SITE_URL;
+  return {
+    SITE_URL: siteUrl,
+    // Polku, jossa sivusto julkaistaan (esim. GitHub Pagesin projektisivun /repo/)
+    BASE_PATH: config.basePath || new URL(siteUrl).pathname,
+    BUILD_ID: process.env.BUILD_TIMESTAMP || "local",
+    BUILD_TIMESTAMP: new Date().toISOString(),
+    // GitHub Actions antaa GITHUB_REPOSITORY-muuttujan muodossa omistaja/repo
+    REPOSITORY_URL:
+      config.repositoryUrl ||
+      (process.env.GITHUB_REPOSITORY ? `https://github.com/${process.env.GITHUB_REPOSITORY}` : ""),
+    // Alateksti linkittää GeoJSON:iin vain, jos se kirjoitetaan (ks. exports.js)
+    HAS_GEOJSON: Object.keys(config.areaCoordinates).length > 0,
+    // Muut julkaistut tilat ovat avoimia (ks. lostfound.config)
+    RESOLVED_STATUSES: config.resolvedStatuses,
+  };
+}
+
+// Sivun polku kieliversion juuresta ("index.html", "items/x.html") → julkaistu osoite ilman index.html:ää
+function getCanonicalPath(pagePath) {
+  return pagePath.replace(/(^|\/)index\.html$/, "$1");
+}
+
+function getPageUrl(buildInfo, catalog, pagePath) {
+  return new URL(getLocalePrefix(catalog) + getCanonicalPath(pagePath), buildInfo.SITE_URL).href;
+}
+
+// Kaikille sivuille yhteiset arvot: kieli, viestit, päivämäärät ja suhteelliset polut.
+// ROOT osoittaa sivuston juureen (css, js, img, data.json), LOCALE_ROOT kieliversion juureen.
+function getPageData(buildInfo, catalog, pagePath) {
+  const date = new Date(buildInfo.BUILD_TIMESTAMP);
+  const localeRoot = "../".repeat(pagePath.split("/").length - 1);
+  const root = localeRoot + (getLocalePrefix(catalog) ? "../" : "");
+
+  return {
+    ...buildInfo,
+    ...getTemplateMessages(catalog),
+    LANG: catalog.code,
+    THEME_COLOR,
+    BUILD_DAY: date.toLocaleDateString(catalog.locale),
+    BUILD_DATE: date.toLocaleDateString(catalog.locale, {
+      weekday: "long",
+      year: "numeric",
+      month: "long",
+      day: "numeric",
+      hour: "2-digit",
+      minute: "2-digit",
+    }),
+    ROOT: root,
+    LOCALE_ROOT: localeRoot,
+    LANGUAGES: LOCALES.map((locale) => ({
+      CODE: locale.code,
+      NAME: locale.name,
+      CURRENT: locale === catalog,
+      URL: root + getLocalePrefix(locale) + pagePath,
+    })),
+  };
+}
+
+function getPageSeo(buildInfo, catalog, pagePath, options) {
+  const canonicalPath = getCanonicalPath(pagePath);
+  return getSeoData({
+    siteUrl: buildInfo.SITE_URL,
+    pagePath: getLocalePrefix(catalog) + canonicalPath,
+    catalog,
+    alternates: [
+      ...LOCALES.map((locale) => ({
+        hreflang: locale.code,
+        href: getPageUrl(buildInfo, locale, pagePath),
+      })),
+      { hreflang: "x-default", href: new URL(canonicalPath, buildInfo.SITE_URL).href },
+    ],
+    ...options,
   });
+}
 
-  const approvedCount = items.filter((i) => i.status === "APPROVED").length;
-  const resolvedCount = items.filter((i) => i.status === "RESOLVED").length;
-  const uniqueAreas = areas.length;
-  const facebookCount = items.filter((i) => i.facebookLink).length;
+function toItemView(item, catalog, buildInfo) {
+  return {
+    ID: item.id,
+    TITLE: item.title,
+    SUMMARY: truncateText(item.description, 120),
+    DESCRIPTION: item.description,
+    TYPE: item.type,
+    TYPE_LABEL: getTypeName(item.type, catalog),
+    AREA: item.area,
+    CATEGORY: item.category,
+    CATEGORY_NAME: getCategoryName(item.category, catalog),
+    STATUS_CLASS: item.status.toLowerCase(),
+    STATUS_STATE: buildInfo.RESOLVED_STATUSES.includes(item.status) ? "resolved" : "open",
+    STATUS_TEXT: getStatusName(item.status, catalog),
+    TIMESTAMP: item.timestamp,
+    DATE: formatDate(item.timestamp, catalog),
+    HAS_IMAGE: Boolean(item.image),
+    IMAGE_MISSING: Boolean(item.imageUrl && !item.image),
+    THUMB_SRC: item.image?.thumb,
+    THUMB_WIDTH: item.image?.thumbWidth,
+    THUMB_HEIGHT: item.image?.thumbHeight,
+    FULL_SRC: item.image?.full,
+    IMAGE_WIDTH: item.image?.width,
+    IMAGE_HEIGHT: item.image?.height,
+    FACEBOOK_LINK: item.facebookLink,
+    INSTAGRAM_LINK: item.instagramLink,
+    HAS_SOCIAL_LINKS: Boolean(item.facebookLink || item.instagramLink),
+    PAGE_URL: getItemPagePath(item),
+    IS_NEW: Boolean(item.isNew),
+    HAS_MATCHES: item.matches.length > 0,
+    MATCHES: item.matches.map((match) => ({
+      MATCH_URL: getItemPagePath(match.item),
+      MATCH_TITLE: match.item.title,
+      MATCH_TYPE: getTypeName(match.item.type, catalog),
+      MATCH_AREA: match.item.area,
+      MATCH_DATE: formatDate(match.item.timestamp, catalog),
+      MATCH_SCORE: Math.round(match.score * 100),
+    })),
+  };
+}
 
-  const itemTypeCounts = {
-    FOUND: items.filter((i) => i.type === "FOUND").length,
-    LOST: items.filter((i) => i.type === "LOST").length,
+// Ilmoitus data.json-muodossa; samaa muotoa verrataan seuraavassa buildissa (ks. changes.js)
+function toDataItem(item) {
+  return {
+    id: item.id,
+    title: item.title,
+    area: item.area,
+    category: item.category,
+    type: item.type,
+    status: item.status,
+    description: item.description,
+    imageUrl: item.imageUrl,
+    image: item.image && {
+      thumb: item.image.thumb,
+      full: item.image.full,
+      width: item.image.width,
+      height: item.image.height,
+    },
+    facebookLink: item.facebookLink,
+    instagramLink: item.instagramLink,
+    timestamp: item.timestamp,
+    updatedAt: item.updatedAt,
+    matches: (item.matches || []).map(({ id, score, reasons }) => ({ id, score, reasons })),
   };
+}
 
-  const areaOptions = areas
-    .map(
-      (area) => `
-        <option value="${escapeHtml(area)}">${escapeHtml(area)}</option>
-      `,
-    )
-    .join("");
-
-  const areaFilterHtml = `
-    <div class="filter-row">
-      <div class="filter-group">
-        <label for="typeFilter" class="filter-label">
-          <svg class="filter-icon" viewBox="0 0 24 24">
-            <path d="M12 2C8.13 2 5 5.13 5 9c0 5.25 7 13 7 13s7-7.75 7-13c0-3.87-3.13-7-7-7zm0 9.5c-1.38 0-2.5-1.12-2.5-2.5s1.12-2.5 2.5-2.5 2.5 1.12 2.5 2.5-1.12 2.5-2.5 2.5z"/>
-          </svg>
-          Ilmoitustyyppi:
-        </label>
-        <select id="typeFilter" class="area-filter">
-          <option value="FOUND" selected>Löytyneet (${itemTypeCounts.FOUND})</option>
-          <option value="LOST">Kadonneet (${itemTypeCounts.LOST})</option>
-        </select>
-      </div>
-
-      <div class="filter-group">
-        <label for="areaFilter" class="filter-label">
-          <svg class="filter-icon" viewBox="0 0 24 24">
-            <path d="M10 18h4v-2h-4v2zM3 6v2h18V6H3zm3 7h12v-2H6v2z"/>
-          </svg>
-          Suodata alueen mukaan:
-        </label>
-        <select id="areaFilter" class="area-filter">
-          <option value="">Kaikki alueet (${items.length} ilmoitusta)</option>
-          ${areaOptions}
-        </select>
-      </div>
-
-      <div class="area-stats">
-        <span id="selectedAreaCount">${items.filter((i) => i.type === "FOUND").length}</span> ilmoitusta näytetään
-      </div>
-    </div>
-  `;
-
-  let itemsHtml = "";
-  if (items.length === 0) {
-    itemsHtml = `
-      <div style="grid-column: 1 / -1; text-align: center; padding: 3rem; color: #6b7280;">
-        <p style="font-size: 1.2rem;">Ei löytyneitä tavaroita tällä hetkellä.</p>
-        <p>Tarkista myöhemmin uudelleen!</p>
-      </div>
-    `;
-  } else {
-    itemsHtml = items
-      .map(
-        (item) => `
-        <article
-          class="item-card"
-          data-id="${escapeHtml(item.id)}"
-          data-category="${escapeHtml(item.category)}"
-          data-area="${escapeHtml(item.area)}"
-          data-type="${escapeHtml(item.type)}"
-        >
-          <div class="item-image-container">
-            ${item.imageUrl ? `
-              <img
-                src="${escapeHtml(item.imageUrl)}"
-                alt="${escapeHtml(item.title)}"
-                class="item-image"
-                loading="lazy"
-                onerror="this.parentElement.innerHTML='<div class=\"item-image-placeholder\"><span>Kuva ei saatavilla</span></div>'"
-              />
-            ` : `
-              <div class="item-image-placeholder">
-                <span>Ei kuvaa</span>
-              </div>
-            `}
-            <div class="item-status status-${item.status.toLowerCase()}">
-              ${item.status === "APPROVED" ? "Avoin" : "Ratkaistu"}
-            </div>
-          </div>
-
-          <div class="item-content">
-            <div class="item-header">
-              <h3 class="item-title">${escapeHtml(item.title)}</h3>
-            </div>
-
-            <div class="item-meta">
-              <span class="meta-item">
-                <svg class="icon" viewBox="0 0 24 24" aria-hidden="true"><path d="M12 2C8.13 2 5 5.13 5 9c0 5.25 7 13 7 13s7-7.75 7-13c0-3.87-3.13-7-7-7zm0 9.5c-1.38 0-2.5-1.12-2.5-2.5s1.12-2.5 2.5-2.5 2.5 1.12 2.5 2.5-1.12 2.5-2.5 2.5z"/></svg>
-                ${escapeHtml(item.area)}
-              </span>
-
-              <span class="meta-item">
-                <svg class="icon" viewBox="0 0 24 24" aria-hidden="true"><path d="M10 4H4c-1.1 0-1.99.9-1.99 2L2 18c0 1.1.9 2 2 2h16c1.1 0 2-.9 2-2V8c0-1.1-.9-2-2-2h-8l-2-2z"/></svg>
-                ${escapeHtml(getCategoryName(item.category))}
-              </span>
-
-              <span class="meta-item">
-                <svg class="icon" viewBox="0 0 24 24" aria-hidden="true"><path d="M19 3h-1V1h-2v2H8V1H6v2H5c-1.11 0-1.99.9-1.99 2L3 19c0 1.1.89 2 2 2h14c1.1 0 2-.9 2-2V5c0-1.1-.9-2-2-2zm0 16H5V8h14v11zM7 10h5v5H7z"/></svg>
-                ${escapeHtml(formatDate(item.timestamp))}
-              </span>
-            </div>
-
-            <p class="item-description">${truncateText(item.description, 120)}</p>
-
-            <div class="item-actions">
-              <span class="item-id">#${escapeHtml(item.id)}</span>
-              ${(item.facebookLink || item.instagramLink) ? `
-                <div class="social-links">
-                  ${item.facebookLink ? `
-                    <a href="${escapeHtml(item.facebookLink)}" target="_blank" rel="noopener noreferrer" class="social-btn social-btn-fb" title="Avaa Facebook-ilmoitus">
-                      <svg viewBox="0 0 24 24" fill="currentColor" aria-hidden="true"><path d="M24 12.073c0-6.627-5.373-12-12-12s-12 5.373-12 12c0 5.99 4.388 10.954 10.125 11.854v-8.385H7.078v-3.47h3.047V9.43c0-3.007 1.792-4.669 4.533-4.669 1.312 0 2.686.235 2.686.235v2.953H15.83c-1.491 0-1.956.925-1.956 1.874v2.25h3.328l-.532 3.47h-2.796v8.385C19.612 23.027 24 18.062 24 12.073z"/></svg>
-                      Facebook
-                    </a>
-                  ` : ""}
-                  ${item.instagramLink ? `
-                    <a href="${escapeHtml(item.instagramLink)}" target="_blank" rel="noopener noreferrer" class="social-btn social-btn-ig" title="Avaa Instagram-ilmoitus">
-                      <svg viewBox="0 0 24 24" fill="currentColor" aria-hidden="true"><path d="M12 2.163c3.204 0 3.584.012 4.85.07 3.252.148 4.771 1.691 4.919 4.919.058 1.265.069 1.645.069 4.849 0 3.205-.012 3.584-.069 4.849-.149 3.225-1.664 4.771-4.919 4.919-1.266.058-1.644.07-4.85.07-3.204 0-3.584-.012-4.849-.07-3.26-.149-4.771-1.699-4.919-4.92-.058-1.265-.07-1.644-.07-4.849 0-3.204.013-3.583.07-4.849.149-3.227 1.664-4.771 4.919-4.919 1.266-.057 1.645-.069 4.849-.069zm0-2.163c-3.259 0-3.667.014-4.947.072-4.358.2-6.78 2.618-6.98 6.98-.059 1.281-.073 1.689-.073 4.948 0 3.259.014 3.668.072 4.948.2 4.358 2.618 6.78 6.98 6.98 1.281.058 1.689.072 4.948.072 3.259 0 3.668-.014 4.948-.072 4.354-.2 6.782-2.618 6.979-6.98.059-1.28.073-1.689.073-4.948 0-3.259-.014-3.667-.072-4.947-.196-4.354-2.617-6.78-6.979-6.98-1.281-.059-1.69-.073-4.949-.073zm0 5.838c-3.403 0-6.162 2.759-6.162 6.162s2.759 6.163 6.162 6.163 6.162-2.759 6.162-6.163c0-3.403-2.759-6.162-6.162-6.162zm0 10.162c-2.209 0-4-1.79-4-4 0-2.209 1.791-4 4-4s4 1.791 4 4c0 2.21-1.791 4-4 4zm6.406-11.845c-.796 0-1.441.645-1.441 1.44s.645 1.44 1.441 1.44c.795 0 1.439-.645 1.439-1.44s-.644-1.44-1.439-1.44z"/></svg>
-                      Instagram
-                    </a>
-                  ` : ""}
-                </div>
-              ` : ""}
-            </div>
-          </div>
-        </article>
-      `,
-      )
-      .join("");
+const TYPE_LABELS = { FOUND: "FILTER_FOUND", LOST: "FILTER_LOST" };
+
+// Staattinen listaussivu kieliversion juuresta, esim. "alue/kallio/loytyneet/index.html"
+function getAreaPagePath(areaSlug, type) {
+  return `alue/${areaSlug}/${TYPE_SLUGS[type]}/index.html`;
+}
+
+// Alueen tulostettava juliste, esim. "alue/kallio/juliste/index.html"
+function getPosterPagePath(areaSlug) {
+  return `alue/${areaSlug}/juliste/index.html`;
+}
+
+function countItems(items, area, type) {
+  return items.filter((item) => item.area === area && item.type === type).length;
+}
+
+// Linkit jokaiselle alueen ja tyypin yhdistelmälle. Ne vievät staattisille aluesivuille;
+// public/js/app.js suodattaa etusivulla paikallaan data-type/data-area-arvojen perusteella.
+function getAreaLinks(items, areas, catalog) {
+  const areaSlugs = createSlugMap(areas);
+  return areas.map((area) => ({
+    AREA: area,
+    LINKS: Object.keys(TYPE_SLUGS).map((type) => ({
+      URL: getAreaPagePath(areaSlugs.get(area), type),
+      TYPE: type,
+      LABEL: t(catalog, TYPE_LABELS[type]),
+      COUNT: countItems(items, area, type),
+    })),
+  }));
+}
+
+function generateIndexData({ items, areas, categories, statuses }, buildInfo, catalog) {
+  const pageData = getPageData(buildInfo, catalog, "index.html");
+  const isResolved = (item) => buildInfo.RESOLVED_STATUSES.includes(item.status);
+
+  return {
+    ...pageData,
+    ...getPageSeo(buildInfo, catalog, "index.html", {
+      title: t(catalog, "SITE_TITLE"),
+      description: t(catalog, "INDEX_DESCRIPTION", { count: items.length }),
+      jsonLd: getIndexJsonLd({
+        url: getPageUrl(buildInfo, catalog, "index.html"),
+        items,
+        itemUrl: (item) => getPageUrl(buildInfo, catalog, getItemPagePath(item)),
+        catalog,
+      }),
+    }),
+    // public/js/app.js lukee tämän sivun app-config-lohkosta
+    APP_CONFIG: rawJson({
+      root: pageData.ROOT,
+      basePath: buildInfo.BASE_PATH,
+      locale: catalog.code,
+      categories: categories.map((category) => ({ value: category, label: getCategoryName(category, catalog) })),
+      messages: getClientMessages(catalog),
+    }),
+    FOUND_COUNT: items.filter((i) => i.type === "FOUND").length,
+    LOST_COUNT: items.filter((i) => i.type === "LOST").length,
+    STATS: [
+      { VALUE: items.length, LABEL: t(catalog, "STATS_TOTAL") },
+      { VALUE: items.filter((i) => !isResolved(i)).length, LABEL: t(catalog, "STATS_OPEN") },
+      { VALUE: items.filter(isResolved).length, LABEL: t(catalog, "STATS_RESOLVED") },
+      { VALUE: areas.length, LABEL: t(catalog, "STATS_AREAS") },
+      { VALUE: items.filter((i) => i.facebookLink).length, LABEL: t(catalog, "STATS_FACEBOOK") },
+    ],
+    AREAS: areas.map((area) => ({ VALUE: area, LABEL: area })),
+    CATEGORIES: categories.map((category) => ({
+      VALUE: category,
+      LABEL: getCategoryName(category, catalog),
+    })),
+    STATUSES: statuses.map((status) => ({
+      VALUE: status.toLowerCase(),
+      LABEL: getStatusName(status, catalog),
+    })),
+    AREA_LINKS: getAreaLinks(items, areas, catalog),
+    ITEMS: items.map((item) => toItemView(item, catalog, buildInfo)),
+  };
+}
+
+async function writeIndexPages(data, distDir, buildInfo) {
+  const renderIndex = await loadTemplate(templatesDir, "index.html");
+
+  for (const catalog of LOCALES) {
+    const localeDir = path.join(distDir, getLocalePrefix(catalog));
+    await mkdir(localeDir, { recursive: true });
+    await writeFile(
+      path.join(localeDir, "index.html"),
+      renderIndex(generateIndexData(data, buildInfo, catalog)),
+      "utf-8",
+    );
   }
+}
 
-  return `<!DOCTYPE html>
-<html lang="fi">
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>Löytyneet ja kadonneet tavarat - ${date.toLocaleDateString("fi-FI")}</title>
-  <meta name="description" content="Vaihtuva lista kadonneista ja löydetyistä tavaroista. ${items.length} ilmoitusta saatavilla.">
-  <style>
-    * { box-sizing: border-box; margin: 0; padding: 0; }
-    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, sans-serif; line-height: 1.6; color:#333; background:#f8f9fa; max-width:1200px; margin:0 auto; padding:20px; }
-    header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color:white; padding:2rem; border-radius:12px; margin-bottom:2rem; box-shadow:0 4px 6px rgba(0,0,0,0.1); }
-    h1 { font-size:2.5rem; margin-bottom:0.5rem; }
-    .subtitle { font-size:1.1rem; opacity:0.9; margin-bottom:1rem; }
-    .build-info { font-size:0.9rem; opacity:0.8; background:rgba(255,255,255,0.1); padding:8px 12px; border-radius:6px; display:inline-block; }
-
-    .filter-row { background:white; padding:1.5rem; border-radius:10px; margin-bottom:2rem; box-shadow:0 2px 8px rgba(0,0,0,0.08); display:flex; flex-wrap:wrap; align-items:end; gap:1.2rem; }
-    .filter-group { display:flex; flex-direction:column; gap:0.5rem; }
-    .filter-label { display:flex; align-items:center; gap:8px; font-weight:600; color:#4b5563; white-space:nowrap; }
-    .filter-icon { width:20px; height:20px; fill:#667eea; }
-    .area-filter { min-width:220px; padding:10px 15px; border:2px solid #e5e7eb; border-radius:8px; font-size:1rem; background:white; color:#333; transition:border-color 0.2s; cursor:pointer; }
-    .area-filter:hover { border-color:#9ca3af; }
-    .area-filter:focus { outline:none; border-color:#667eea; box-shadow:0 0 0 3px rgba(102,126,234,0.1); }
-    .area-stats { font-size:0.95rem; color:#6b7280; padding:5px 10px; background:#f3f4f6; border-radius:6px; white-space:nowrap; margin-bottom:2px; }
-    #selectedAreaCount { font-weight:bold; color:#667eea; }
-
-    .stats-grid { display:grid; grid-template-columns:repeat(auto-fit, minmax(200px,1fr)); gap:1rem; margin-bottom:2rem; }
-    .stat-card { background:white; padding:1.5rem; border-radius:10px; box-shadow:0 2px 4px rgba(0,0,0,0.05); text-align:center; }
-    .stat-number { font-size:2rem; font-weight:bold; display:block; color:#667eea; }
-    .stat-label { font-size:0.9rem; color:#666; }
-
-    .items-grid { display:grid; grid-template-columns:repeat(auto-fill, minmax(300px,1fr)); gap:1.5rem; margin-bottom:3rem; }
-    .item-card { background:white; border-radius:12px; overflow:hidden; box-shadow:0 2px 8px rgba(0,0,0,0.08); transition:transform 0.2s, box-shadow 0.2s, opacity 0.3s; }
-    .item-card:hover { transform: translateY(-4px); box-shadow:0 8px 16px rgba(0,0,0,0.12); }
-    .item-card.hidden { display:none; }
-
-    .item-image-container { position:relative; height:200px; background:#f0f0f0; }
-    .item-image { width:100%; height:100%; object-fit:cover; }
-    .item-image-placeholder { position:relative; display:flex; align-items:center; justify-content:center; height:100%; color:#64748b; font-size:0.9rem; background-color:#f1f5f9; background-image: url("data:image/svg+xml,%3Csvg xmlns='http://www.w3.org/2000/svg' viewBox='0 0 320 160'%3E%3Cstyle%3E.logo %7B fill: none; stroke: %234f46e5; stroke-width: 2.5; stroke-linecap: round; stroke-linejoin: round; opacity: 0.15; %7D .text %7B fill: %234f46e5; font-family: 'Segoe UI', Arial, sans-serif; font-size: 20px; font-weight: 800; opacity: 0.15; letter-spacing: 1px; %7D%3C/style%3E%3Cg class='logo' transform='translate(144, 30) scale(1.3)'%3E%3Cpath d='M12 2L2 7l10 5 10-5-10-5z' /%3E%3Cpath d='M2 17l10 5 10-5' /%3E%3Cpath d='M2 12l10 5 10-5' /%3E%3Cpath d='M2 7v10' /%3E%3Cpath d='M12 12v10' /%3E%3Cpath d='M22 7v10' /%3E%3C/g%3E%3Ctext class='text' x='50%25' y='120'%3ELOST %26amp; FOUND%3C/text%3E%3C/svg%3E"); background-repeat:no-repeat; background-position:center; background-size:60%; }
-    .item-image-placeholder span { position:relative; z-index:1; background:rgba(255,255,255,0.8); padding:0.25rem 0.5rem; border-radius:0.5rem; }
-
-    .item-status { position:absolute; top:12px; right:12px; padding:4px 12px; border-radius:20px; font-size:0.75rem; font-weight:600; text-transform:uppercase; letter-spacing:0.5px; }
-    .status-approved { background:#10b981; color:white; }
-    .status-resolved { background:#3b82f6; color:white; }
-
-    .item-content { padding:1.5rem; }
-    .item-header { display:flex; justify-content:space-between; align-items:flex-start; margin-bottom:0.75rem; }
-    .item-title { font-size:1.25rem; color:#1f2937; margin:0; flex:1; }
-    .social-links { display:flex; gap:0.5rem; flex-wrap:wrap; margin-top:0.75rem; }
-    .social-btn { display:inline-flex; align-items:center; gap:6px; padding:6px 12px; border-radius:20px; font-size:0.8rem; font-weight:600; text-decoration:none; transition:transform 0.15s, box-shadow 0.15s; }
-    .social-btn:hover { transform:translateY(-1px); box-shadow:0 4px 10px rgba(0,0,0,0.15); }
-    .social-btn svg { width:14px; height:14px; flex-shrink:0; }
-    .social-btn-fb { background:#1877F2; color:white; }
-    .social-btn-ig { background:linear-gradient(45deg,#f09433,#e6683c,#dc2743,#cc2366,#bc1888); color:white; }
-
-    .item-meta { display:flex; flex-wrap:wrap; gap:1rem; margin-bottom:1rem; font-size:0.9rem; color:#6b7280; }
-    .meta-item { display:flex; align-items:center; gap:4px; }
-    .icon { width:16px; height:16px; fill: currentColor; flex-shrink:0; }
-
-    .item-description { color:#4b5563; margin-bottom:1rem; font-size:0.95rem; line-height:1.5; }
-
-    .item-actions { display:flex; justify-content:space-between; align-items:center; margin-top:1rem; padding-top:1rem; border-top:1px solid #e5e7eb; }
-    .item-id { font-size:0.8rem; color:#9ca3af; font-family:monospace; }
-
-    footer { text-align:center; padding:2rem 0; color:#6b7280; font-size:0.9rem; border-top:1px solid #e5e7eb; margin-top:3rem; }
-    footer a { color:#667eea; text-decoration:none; }
-    footer a:hover { text-decoration:underline; }
-
-    @media (max-width: 768px) {
-      body { padding: 15px; }
-      h1 { font-size: 2rem; }
-      .items-grid { grid-template-columns: 1fr; }
-      .stats-grid { grid-template-columns: 1fr; }
-      .filter-row { flex-direction: column; align-items: stretch; }
-      .area-filter { min-width: auto; }
-    }
+async function writeItemPages(items, distDir, buildInfo) {
+  const renderItem = await loadTemplate(templatesDir, "item.html");
 
-    @media (max-width: 480px) {
-      header { padding: 1.5rem; }
-      .item-meta { flex-direction: column; gap: 0.5rem; }
-      .item-header { flex-direction: column; }
+  // Kaksi ilmoitusta samassa tiedostossa jättäisi toisen hiljaa julkaisematta
+  const pageIds = new Map();
+  for (const item of items) {
+    const pagePath = getItemPagePath(item);
+    if (pageIds.has(pagePath)) {
+      throw new Error(`Items "${pageIds.get(pagePath)}" and "${item.id}" would both be written to ${pagePath}`);
     }
-  </style>
-</head>
-<body>
-  <header>
-    <h1>📦 Kadonneet &amp; löytyneet tavarat</h1>
-    <p class="subtitle">Valitse yläreunasta kumpia ilmoituksia näytetään – samalla sivulla.</p>
-    <span class="build-info">Viimeisin päivitys: ${formattedDate}</span>
-  </header>
-
-  <main>
-    ${areaFilterHtml}
-
-    <div class="stats-grid">
-      <div class="stat-card"><span class="stat-number">${items.length}</span><span class="stat-label">Ilmoitusta yhteensä</span></div>
-      <div class="stat-card"><span class="stat-number">${approvedCount}</span><span class="stat-label">Avoinna</span></div>
-      <div class="stat-card"><span class="stat-number">${resolvedCount}</span><span class="stat-label">Ratkaistu</span></div>
-      <div class="stat-card"><span class="stat-number">${uniqueAreas}</span><span class="stat-label">Eri aluetta</span></div>
-      <div class="stat-card"><span class="stat-number">${facebookCount}</span><span class="stat-label">Facebook-ilmoitusta</span></div>
-    </div>
-
-    <div class="items-grid" id="itemsContainer">
-      ${itemsHtml}
-    </div>
-  </main>
-
-  <footer>
-    <p>
-      Tämä sivu on staattinen snapshot <a href="https://lostrefound.blogspot.com">Lost&amp;Found</a>-sovelluksesta.
-      Data päivittyy automaattisesti tunnin välein.
-    </p>
-    <p>
-      <a href="/data.json" target="_blank">JSON-data</a> |
-      <a href="https://github.com/${process.env.GITHUB_USERNAME || "yourusername"}/lostfound-snapshot" target="_blank">Lähdekoodi</a> |
-      Build ID: ${process.env.BUILD_TIMESTAMP || "local"}
-    </p>
-  </footer>
-
-  <script>
-    document.addEventListener('DOMContentLoaded', function() {
-      const typeFilter = document.getElementById('typeFilter');
-      const areaFilter = document.getElementById('areaFilter');
-      const itemCards = document.querySelectorAll('.item-card');
-      const selectedAreaCount = document.getElementById('selectedAreaCount');
-
-      function applyFilters() {
-        const selectedType = typeFilter.value;
-        const selectedArea = areaFilter.value;
-
-        let visibleCount = 0;
-        itemCards.forEach(card => {
-          const cardType = card.getAttribute('data-type');
-          const cardArea = card.getAttribute('data-area');
-
-          const matchesType = !selectedType || cardType === selectedType;
-          const matchesArea = !selectedArea || cardArea === selectedArea;
-
-          if (matchesType && matchesArea) {
-            card.classList.remove('hidden');
-            visibleCount++;
-          } else {
-            card.classList.add('hidden');
-          }
+    pageIds.set(pagePath, item.id);
+  }
+
+  for (const catalog of LOCALES) {
+    const localeDir = path.join(distDir, getLocalePrefix(catalog));
+
+    // Poista edellisen buildin sivut, ettei poistettuja ilmoituksia jää julkiseksi
+    const itemsDir = path.join(localeDir, "items");
+    await rm(itemsDir, { recursive: true, force: true });
+    await mkdir(itemsDir, { recursive: true });
+
+    await Promise.all(
+      items.map((item) => {
+        const pagePath = getItemPagePath(item);
+        const image = item.image && {
+          url: new URL(item.image.full, buildInfo.SITE_URL).href,
+          width: item.image.width,
+          height: item.image.height,
+        };
+        const seo = getPageSeo(buildInfo, catalog, pagePath, {
+          title: `${getTypeName(item.type, catalog)}: ${item.title}`,
+          description: describeItem(item, catalog),
+          image,
+          type: "article",
+          jsonLd: getItemJsonLd(item, getPageUrl(buildInfo, catalog, pagePath), image, catalog),
         });
 
-        selectedAreaCount.textContent = visibleCount;
+        return writeFile(
+          path.join(localeDir, pagePath),
+          renderItem({ ...getPageData(buildInfo, catalog, pagePath), ...seo, ...toItemView(item, catalog, buildInfo) }),
+          "utf-8",
+        );
+      }),
+    );
+  }
+}
+
+// Esisuodatetut sivut ilman JavaScriptiä: alue/<slug>/<loytyneet|kadonneet>/ ja yleissivu alue/
+async function writeAreaPages(items, areas, distDir, buildInfo) {
+  const renderArea = await loadTemplate(templatesDir, "area.html");
+  const renderAreas = await loadTemplate(templatesDir, "areas.html");
+  const areaSlugs = createSlugMap(areas);
+  const overviewPath = "alue/index.html";
+
+  for (const catalog of LOCALES) {
+    const localeDir = path.join(distDir, getLocalePrefix(catalog));
+
+    // Kadonneiden alueiden sivut poistetaan kuten ilmoitussivut
+    const areasDir = path.join(localeDir, "alue");
+    await rm(areasDir, { recursive: true, force: true });
+    await mkdir(areasDir, { recursive: true });
+
+    await writeFile(
+      path.join(localeDir, overviewPath),
+      renderAreas({
+        ...getPageData(buildInfo, catalog, overviewPath),
+        ...getPageSeo(buildInfo, catalog, overviewPath, {
+          title: `${t(catalog, "AREA_PAGES_TITLE")} - ${t(catalog, "SITE_TITLE")}`,
+          description: t(catalog, "AREA_PAGES_DESCRIPTION"),
+          jsonLd: {
+            "@context": "https://schema.org",
+            "@type": "WebPage",
+            name: t(catalog, "AREA_PAGES_TITLE"),
+            url: getPageUrl(buildInfo, catalog, overviewPath),
+            inLanguage: catalog.code,
+          },
+        }),
+        AREA_LINKS: getAreaLinks(items, areas, catalog),
+      }),
+      "utf-8",
+    );
+
+    for (const area of areas) {
+      const slug = areaSlugs.get(area);
+
+      for (const type of Object.keys(TYPE_SLUGS)) {
+        const pagePath = getAreaPagePath(slug, type);
+        const pageItems = items.filter((item) => item.area === area && item.type === type);
+        const typeLabel = t(catalog, TYPE_LABELS[type]);
+        const title = t(catalog, "AREA_PAGE_TITLE", { type: typeLabel, area });
+        const description = t(catalog, "AREA_PAGE_DESCRIPTION", { type: typeLabel, area, count: pageItems.length });
+
+        await mkdir(path.dirname(path.join(localeDir, pagePath)), { recursive: true });
+        await writeFile(
+          path.join(localeDir, pagePath),
+          renderArea({
+            ...getPageData(buildInfo, catalog, pagePath),
+            ...getPageSeo(buildInfo, catalog, pagePath, {
+              title: `${title} - ${t(catalog, "SITE_TITLE")}`,
+              description,
+              jsonLd: getIndexJsonLd({
+                url: getPageUrl(buildInfo, catalog, pagePath),
+                items: pageItems,
+                itemUrl: (item) => getPageUrl(buildInfo, catalog, getItemPagePath(item)),
+                name: title,
+                catalog,
+              }),
+            }),
+            PAGE_TITLE: title,
+            PAGE_DESCRIPTION: description,
+            AREA: area,
+            // Julisteessa ovat vain löydöt
+            HAS_POSTER: type === "FOUND",
+            POSTER_URL: getPosterPagePath(slug),
+            FEED_PATH: `feeds/alue-${slug}.atom.xml`,
+            TYPE_LINKS: Object.keys(TYPE_SLUGS).map((otherType) => ({
+              URL: getAreaPagePath(slug, otherType),
+              LABEL: t(catalog, TYPE_LABELS[otherType]),
+              COUNT: countItems(items, area, otherType),
+              CURRENT: otherType === type,
+            })),
+            AREA_NAV: areas.map((otherArea) => ({
+              AREA: otherArea,
+              URL: getAreaPagePath(areaSlugs.get(otherArea), type),
+              COUNT: countItems(items, otherArea, type),
+              CURRENT: otherArea === area,
+            })),
+            ITEMS: pageItems.map((item) => toItemView(item, catalog, buildInfo)),
+          }),
+          "utf-8",
+        );
       }
+    }
+  }
+}
 
-      typeFilter.addEventListener('change', applyFilters);
-      areaFilter.addEventListener('change', applyFilters);
+const CHART_COLORS = {
+  FOUND: "#667eea",
+  LOST: "#f59e0b",
+  open: "#10b981",
+  resolved: "#3b82f6",
+};
+
+// Päivämäärä muodossa YYYY-MM-DD → "13.10." (viikon tai päivän nimike kaaviossa)
+function formatChartDate(day, catalog) {
+  return new Date(`${day}T12:00:00Z`).toLocaleDateString(catalog.locale, { day: "numeric", month: "numeric" });
+}
+
+function getStatsCharts(stats, catalog) {
+  const percent = new Intl.NumberFormat(catalog.locale, { style: "percent" });
+  const days = new Intl.NumberFormat(catalog.locale, { maximumFractionDigits: 1 });
+  const timed = stats.categories.filter((category) => category.medianDays !== null);
+
+  return {
+    WEEKLY_CHART: rawHtml(
+      renderColumnChart({
+        title: t(catalog, "STATS_WEEKLY_TITLE"),
+        labels: stats.weekly.map((week) => formatChartDate(week.start, catalog)),
+        series: ["FOUND", "LOST"].map((type) => ({
+          label: t(catalog, TYPE_LABELS[type]),
+          color: CHART_COLORS[type],
+          values: stats.weekly.map((week) => week[type]),
+        })),
+      }),
+    ),
+    LISTED_CHART: rawHtml(
+      renderLineChart({
+        title: t(catalog, "STATS_LISTED_TITLE"),
+        labels: stats.days.map((day) => formatChartDate(day.date, catalog)),
+        series: [
+          { label: t(catalog, "STATS_OPEN"), color: CHART_COLORS.open, values: stats.days.map((day) => day.open) },
+          {
+            label: t(catalog, "STATS_RESOLVED"),
+            color: CHART_COLORS.resolved,
+            values: stats.days.map((day) => day.resolved),
+          },
+        ],
+      }),
+    ),
+    RESOLUTION_RATE_CHART: rawHtml(
+      renderBarList({
+        title: t(catalog, "STATS_RESOLUTION_RATE_TITLE"),
+        color: CHART_COLORS.resolved,
+        max: 1,
+        rows: stats.categories.map((category) => ({
+          label: getCategoryName(category.category, catalog),
+          value: category.resolutionRate,
+          text: `${percent.format(category.resolutionRate)} (${category.resolved}/${category.total})`,
+        })),
+      }),
+    ),
+    RESOLUTION_TIME_CHART: rawHtml(
+      timed.length > 0
+        ? renderBarList({
+            title: t(catalog, "STATS_RESOLUTION_TIME_TITLE"),
+            color: CHART_COLORS.FOUND,
+            rows: timed.map((category) => ({
+              label: getCategoryName(category.category, catalog),
+              value: category.medianDays,
+              text: `${t(catalog, "STATS_DAYS", { days: days.format(category.medianDays) })} (n=${category.timedCount})`,
+            })),
+          })
+        : "",
+    ),
+    AREAS_CHART: rawHtml(
+      renderBarList({
+        title: t(catalog, "STATS_AREAS_TITLE"),
+        color: CHART_COLORS.FOUND,
+        rows: stats.areas.map((area) => ({ label: area.area, value: area.total, text: String(area.total) })),
+      }),
+    ),
+  };
+}
 
-      applyFilters();
+// Yhdelle A4-arkille mahtuvat ilmoitukset; loput löytyvät alueen QR-koodin takaa
+const POSTER_MAX_ITEMS = 8;
+const POSTER_SUMMARY_LENGTH = 90;
+
+// Ilmoitustauluille tulostettavat julisteet alueen avoimista löydöistä, uusimmat ensin.
+// QR-koodit vievät julkaistuun osoitteeseen (SITE_URL), joten ne toimivat paperilta luettuina.
+async function writePosterPages(items, areas, distDir, buildInfo) {
+  const renderPoster = await loadTemplate(templatesDir, "poster.html");
+  const areaSlugs = createSlugMap(areas);
+
+  for (const catalog of LOCALES) {
+    const localeDir = path.join(distDir, getLocalePrefix(catalog));
+
+    for (const area of areas) {
+      const slug = areaSlugs.get(area);
+      const pagePath = getPosterPagePath(slug);
+      const areaPath = getAreaPagePath(slug, "FOUND");
+      const areaUrl = getPageUrl(buildInfo, catalog, areaPath);
+      const openItems = items
+        .filter(
+          (item) =>
+            item.area === area && item.type === "FOUND" && !buildInfo.RESOLVED_STATUSES.includes(item.status),
+        )
+        .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+      const posterItems = openItems.slice(0, POSTER_MAX_ITEMS);
+      const title = t(catalog, "POSTER_TITLE", { area });
+
+      await mkdir(path.dirname(path.join(localeDir, pagePath)), { recursive: true });
+      await writeFile(
+        path.join(localeDir, pagePath),
+        renderPoster({
+          ...getPageData(buildInfo, catalog, pagePath),
+          PAGE_TITLE: title,
+          AREA_PAGE_TITLE: t(catalog, "AREA_PAGE_TITLE", { type: t(catalog, TYPE_LABELS.FOUND), area }),
+          AREA_URL: areaPath,
+          AREA_LINK: areaUrl,
+          AREA_QR: rawHtml(renderQrSvg(areaUrl, { title: t(catalog, "POSTER_AREA_QR") })),
+          UPDATED: t(catalog, "POSTER_UPDATED", { date: formatDate(buildInfo.BUILD_TIMESTAMP, catalog) }),
+          ITEMS: posterItems.map((item) => ({
+            ...toItemView(item, catalog, buildInfo),
+            SUMMARY: truncateText(item.description, POSTER_SUMMARY_LENGTH),
+            QR: rawHtml(renderQrSvg(getPageUrl(buildInfo, catalog, getItemPagePath(item)), { title: item.title })),
+          })),
+          MORE:
+            openItems.length > posterItems.length
+              ? t(catalog, "POSTER_MORE", { count: openItems.length - posterItems.length })
+              : null,
+        }),
+        "utf-8",
+      );
+    }
+  }
+}
+
+async function writeStatsPages(history, distDir, buildInfo) {
+  const renderStats = await loadTemplate(templatesDir, "stats.html");
+  const pagePath = "tilastot/index.html";
+  const stats = getStatistics(history, { today: getHistoryDate(buildInfo.BUILD_TIMESTAMP) });
+
+  for (const catalog of LOCALES) {
+    const filePath = path.join(distDir, getLocalePrefix(catalog), pagePath);
+    await mkdir(path.dirname(filePath), { recursive: true });
+    await writeFile(
+      filePath,
+      renderStats({
+        ...getPageData(buildInfo, catalog, pagePath),
+        ...getPageSeo(buildInfo, catalog, pagePath, {
+          title: `${t(catalog, "STATS_PAGE_TITLE")} - ${t(catalog, "SITE_TITLE")}`,
+          description: t(catalog, "STATS_PAGE_DESCRIPTION"),
+          jsonLd: {
+            "@context": "https://schema.org",
+            "@type": "WebPage",
+            name: t(catalog, "STATS_PAGE_TITLE"),
+            url: getPageUrl(buildInfo, catalog, pagePath),
+            inLanguage: catalog.code,
+          },
+        }),
+        INTRO: t(catalog, "STATS_PAGE_INTRO", {
+          count: stats.tracked,
+          since: formatDate(`${stats.since}T12:00:00Z`, catalog),
+        }),
+        ...getStatsCharts(stats, catalog),
+      }),
+      "utf-8",
+    );
+  }
+}
+
+// Listalla syötteiden lyhyet nimet; syötteiden omat otsikot tulevat feeds.js:stä
+const FEED_TITLE_MESSAGES = {
+  kaikki: "FEED_ALL",
+  loytyneet: "FEED_FOUND",
+  kadonneet: "FEED_LOST",
+};
+
+async function writeFeedsPage(feeds, distDir, buildInfo) {
+  const renderFeeds = await loadTemplate(templatesDir, "feeds.html");
+  const pagePath = "feeds/index.html";
+
+  for (const catalog of LOCALES) {
+    const toRow = (feed) => ({
+      TITLE: feed.area || (FEED_TITLE_MESSAGES[feed.key] ? t(catalog, FEED_TITLE_MESSAGES[feed.key]) : feed.title),
+      COUNT: feed.count,
+      ATOM_URL: feed.atom,
+      RSS_URL: feed.rss,
     });
-  </script>
-</body>
-</html>`;
+
+    const outputPath = path.join(distDir, getLocalePrefix(catalog), pagePath);
+    await mkdir(path.dirname(outputPath), { recursive: true });
+    await writeFile(
+      outputPath,
+      renderFeeds({
+        ...getPageData(buildInfo, catalog, pagePath),
+        ...getPageSeo(buildInfo, catalog, pagePath, {
+          title: `${t(catalog, "FEEDS_TITLE")} - ${t(catalog, "SITE_TITLE")}`,
+          description: t(catalog, "FEEDS_DESCRIPTION"),
+          jsonLd: {
+            "@context": "https://schema.org",
+            "@type": "WebPage",
+            name: t(catalog, "FEEDS_TITLE"),
+            url: getPageUrl(buildInfo, catalog, pagePath),
+            inLanguage: catalog.code,
+          },
+        }),
+        MAIN_FEEDS: feeds.filter((feed) => !feed.area).map(toRow),
+        AREA_FEEDS: feeds.filter((feed) => feed.area).map(toRow),
+      }),
+      "utf-8",
+    );
+  }
+}
+
+async function writeSitemap(items, areas, distDir, buildInfo) {
+  // Viimeisin muutos (updatedAt, ks. changes.js), jotta muokatut ja ratkaistut sivut haetaan uudelleen
+  const lastChange = (item) => item.updatedAt || item.timestamp;
+  const newest = items.reduce(
+    (latest, item) => (lastChange(item) > latest ? lastChange(item) : latest),
+    "",
+  );
+  const areaSlugs = createSlugMap(areas);
+
+  const entries = LOCALES.flatMap((catalog) => [
+    { loc: getPageUrl(buildInfo, catalog, "index.html"), lastmod: newest || buildInfo.BUILD_TIMESTAMP },
+    { loc: getPageUrl(buildInfo, catalog, "feeds/index.html"), lastmod: newest || buildInfo.BUILD_TIMESTAMP },
+    { loc: getPageUrl(buildInfo, catalog, "alue/index.html"), lastmod: newest || buildInfo.BUILD_TIMESTAMP },
+    { loc: getPageUrl(buildInfo, catalog, "tilastot/index.html"), lastmod: buildInfo.BUILD_TIMESTAMP },
+    ...areas.flatMap((area) =>
+      Object.keys(TYPE_SLUGS).map((type) => ({
+        loc: getPageUrl(buildInfo, catalog, getAreaPagePath(areaSlugs.get(area), type)),
+        lastmod: newest || buildInfo.BUILD_TIMESTAMP,
+      })),
+    ),
+    ...items.map((item) => ({
+      loc: getPageUrl(buildInfo, catalog, getItemPagePath(item)),
+      lastmod: lastChange(item),
+    })),
+  ]);
+
+  await writeFile(path.join(distDir, "sitemap.xml"), renderSitemap(entries), "utf-8");
+  await writeFile(path.join(distDir, "robots.txt"), renderRobots(buildInfo.SITE_URL), "utf-8");
 }
 
 async function main() {
   console.log("🚀 Starting snapshot build...");
 
+  const reportPath = path.resolve(process.env.BUILD_REPORT_PATH || buildReportPath);
+  let report = null;
+
   try {
-    const { items, areas } = await fetchData();
+    const args = parseCliArgs();
+    const { config, file: configFile } = await loadConfig({
+      rootDir,
+      configPath: args.config || process.env.LOSTFOUND_CONFIG,
+      overrides: {
+        collection: args.collection,
+        outDir: args["out-dir"],
+        siteUrl: args["site-url"],
+        basePath: args["base-path"],
+      },
+    });
+    console.log(`⚙️  Config: ${configFile || "defaults"}`);
+    setCategoryLabels(config.categoryLabels);
+    setStatusLabels(config.statusLabels);
+
+    const distDir = path.resolve(rootDir, config.outDir);
+    // dist/ tyhjennetään osittain jokaisessa buildissa, joten se ei saa osua lähdekoodin päälle
+    if (!path.relative(distDir, rootDir).startsWith("..") || [publicDir, templatesDir].includes(distDir)) {
+      throw new Error(`outDir "${config.outDir}" must not be the project, public/ or templates/ directory`);
+    }
 
-    const html = generateHtml({ items, areas });
+    const source = createDataSource({
+      source: args.source || process.env.DATA_SOURCE,
+      fixturesPath: args.fixtures || process.env.FIXTURES_PATH,
+      collection: config.collection,
+      statuses: config.statuses,
+      pageSize: readPositiveInt("FETCH_PAGE_SIZE", 100),
+      maxItems: readPositiveInt("FETCH_MAX_ITEMS", Infinity),
+    });
+    const buildInfo = getBuildInfo(config);
+    report = createBuildReport({ buildId: buildInfo.BUILD_ID, source: source.label });
+
+    // Väärä osoite päätyisi syötteisiin, sitemapiin ja julisteiden QR-koodeihin
+    if (!getSiteUrl(config)) {
+      const message = "no site URL configured (siteUrl, SITE_URL, --site-url or GITHUB_USERNAME)";
+      if (source.name !== "local") {
+        throw new Error(`${message}, refusing to publish links to ${PLACEHOLDER_SITE_URL}`);
+      }
+      console.warn(`⚠️  ${message}, using ${PLACEHOLDER_SITE_URL} for this local build`);
+      addWarnings(report, "config", [`${message}, using ${PLACEHOLDER_SITE_URL}`]);
+    }
+
+    const imageTimeout = readPositiveInt("IMAGE_TIMEOUT_MS", 15000);
+    const guardLimits = readGuardLimits();
+    const fetched = await timed(report, "fetch", () => fetchData(source, config));
+    // Sama tiedosto luetaan vertailua varten ja korvataan onnistuneen buildin lopussa
+    const previousFile = path.resolve(args.previous || process.env.PREVIOUS_DATA_PATH || previousDataPath);
+    const previous = await loadPreviousData(previousFile);
+    const historyFile = path.resolve(process.env.HISTORY_PATH || historyPath);
+
+    const { total, rejected, repaired } = fetched.validation;
+    report.counts = {
+      documents: total,
+      items: fetched.items.length,
+      rejected: rejected.length,
+      repaired: repaired.length,
+      redacted: fetched.redactions.length,
+      previousItems: previous ? previous.items.length : null,
+    };
+    if (fetched.error) addWarnings(report, "fetch", [fetched.error]);
+    addWarnings(report, "rejected", rejected.map((r) => `${r.id}: ${[r.error, ...r.warnings].join("; ")}`));
+    addWarnings(report, "validation", repaired.flatMap((r) => r.warnings.map((warning) => `${r.id}: ${warning}`)));
+
+    // Varmistukset ennen kuin dist/-hakemistoon kirjoitetaan mitään
+    report.guards = checkPublishGuards(
+      {
+        itemCount: fetched.items.length,
+        documentCount: total,
+        rejectedCount: rejected.length,
+        previousCount: report.counts.previousItems,
+      },
+      guardLimits,
+    );
+    printGuardSummary(report.guards);
+    const failedGuards = report.guards.filter((guard) => !guard.passed);
+    if (failedGuards.length > 0) {
+      if (!args.force) {
+        report.status = "blocked";
+        throw new Error(
+          `${failedGuards.length} publish guard(s) failed, refusing to publish (run with --force to override)`,
+        );
+      }
+      report.forced = true;
+      console.warn(`⚠️  --force given, publishing despite ${failedGuards.length} failed publish guard(s)`);
+    }
 
-    const distDir = path.join(__dirname, "../dist");
     if (!existsSync(distDir)) {
       await mkdir(distDir, { recursive: true });
     }
 
+    const { images, warnings: imageWarnings, stats: imageStats } = await timed(report, "images", () =>
+      mirrorImages(fetched.items, {
+        distDir,
+        cacheDir: path.resolve(process.env.IMAGE_CACHE_DIR || imageCacheDir),
+        timeout: imageTimeout,
+      }),
+    );
+    for (const warning of imageWarnings) {
+      console.warn(`⚠️  Image: ${warning}`);
+    }
+    addWarnings(report, "images", imageWarnings);
+    report.counts.images = imageStats;
+
+    const redactionPath = path.resolve(process.env.REDACTION_REPORT_PATH || redactionReportPath);
+    if (redactionPath.startsWith(path.resolve(distDir) + path.sep)) {
+      throw new Error(`REDACTION_REPORT_PATH must not be inside dist/ (${redactionPath})`);
+    }
+    await writeRedactionReport(fetched.redactions, {
+      filePath: redactionPath,
+      buildId: buildInfo.BUILD_ID,
+      generatedAt: buildInfo.BUILD_TIMESTAMP,
+    });
+
+    const changes = await writeChanges(
+      previous,
+      fetched.items.map(toDataItem),
+      {
+        distDir,
+        buildId: buildInfo.BUILD_ID,
+        buildTimestamp: buildInfo.BUILD_TIMESTAMP,
+        resolvedStatuses: config.resolvedStatuses,
+      },
+    );
+    const newIds = new Set(changes.added);
+    const updatedTimes = getUpdatedTimes(previous, fetched.items, changes, buildInfo.BUILD_TIMESTAMP);
+    report.counts.changes = changes.baseline
+      ? null
+      : {
+          added: changes.added.length,
+          updated: changes.updated.length,
+          resolved: changes.resolved.length,
+          removed: changes.removed.length,
+        };
+
+    const items = fetched.items.map((item) => ({
+      ...item,
+      updatedAt: updatedTimes.get(item.id),
+      image: item.imageUrl ? images.get(item.imageUrl) : null,
+      isNew: newIds.has(item.id),
+    }));
+    const { areas } = fetched;
+
+    // Osumat viittaavat suoraan toisiin ilmoituksiin, jotta sivuille saadaan otsikot ja linkit
+    const matches = await timed(report, "matches", () =>
+      findMatches(items, {
+        nearbyAreas: config.nearbyAreas,
+        fallbackCategory: config.fallbackCategory,
+        fallbackArea: config.fallbackArea,
+        resolvedStatuses: config.resolvedStatuses,
+      }),
+    );
+    const itemsById = new Map(items.map((item) => [item.id, item]));
+    for (const item of items) {
+      item.matches = (matches.get(item.id) || []).map((match) => ({ ...match, item: itemsById.get(match.id) }));
+    }
+    report.counts.matches = matches.size;
+
+    // Staattiset tiedostot (CSS, JS) sellaisenaan dist-hakemistoon
+    await cp(publicDir, distDir, { recursive: true });
+    await timed(report, "pwa", () =>
+      writePwaFiles({
+        distDir,
+        templatesDir,
+        iconSource: path.join(publicDir, "icons/icon.svg"),
+        buildId: buildInfo.BUILD_ID,
+      }),
+    );
+
+    // Historia tallennetaan vasta onnistuneen buildin lopussa, mutta sivu näyttää jo tämän päivän
+    const history = updateHistory(await loadHistory(historyFile), fetched.items, {
+      buildId: buildInfo.BUILD_ID,
+      buildTimestamp: buildInfo.BUILD_TIMESTAMP,
+      resolvedStatuses: config.resolvedStatuses,
+    });
+    report.counts.historyDays = history.days.length;
+
     const outputPath = path.join(distDir, "index.html");
-    await writeFile(outputPath, html, "utf-8");
+    await timed(report, "pages", async () => {
+      await writeIndexPages(
+        { items, areas, categories: config.categories, statuses: config.statuses },
+        distDir,
+        buildInfo,
+      );
+      await writeItemPages(items, distDir, buildInfo);
+      await writeAreaPages(items, areas, distDir, buildInfo);
+      await writePosterPages(items, areas, distDir, buildInfo);
+      await writeStatsPages(history, distDir, buildInfo);
+    });
+
+    const feeds = await timed(report, "feeds", async () => {
+      const written = await writeFeeds(items, areas, {
+        distDir,
+        siteUrl: buildInfo.SITE_URL,
+        buildTimestamp: buildInfo.BUILD_TIMESTAMP,
+      });
+      await writeFeedsPage(written, distDir, buildInfo);
+      await writeSitemap(items, areas, distDir, buildInfo);
+      return written;
+    });
+    report.counts.feeds = feeds.length;
+
+    const exported = await timed(report, "exports", () =>
+      writeExports(items, areas, {
+        distDir,
+        siteUrl: buildInfo.SITE_URL,
+        buildId: buildInfo.BUILD_ID,
+        generatedAt: buildInfo.BUILD_TIMESTAMP,
+        areaCoordinates: config.areaCoordinates,
+        statuses: config.statuses,
+        resolvedStatuses: config.resolvedStatuses,
+      }),
+    );
+    report.counts.exports = exported.files.length + exported.shards.length;
+    await writeEmbedFiles({
+      distDir,
+      templatesDir,
+      statuses: config.statuses,
+      resolvedStatuses: config.resolvedStatuses,
+    });
+
+    const searchIndex = await timed(report, "search", () =>
+      writeSearchIndex(items, { distDir, buildId: buildInfo.BUILD_ID }),
+    );
+    report.counts.searchTerms = searchIndex.terms;
 
     const jsonData = {
-      timestamp: new Date().toISOString(),
-      buildId: process.env.BUILD_TIMESTAMP || "local",
-      items: items.map((item) => ({
-        id: item.id,
-        title: item.title,
-        area: item.area,
-        category: item.category,
-        type: item.type,
-        status: item.status,
-        description: item.description,
-        imageUrl: item.imageUrl,
-        facebookLink: item.facebookLink,
-        instagramLink: item.instagramLink,
-        timestamp: item.timestamp,
-      })),
+      timestamp: buildInfo.BUILD_TIMESTAMP,
+      buildId: buildInfo.BUILD_ID,
+      items: items.map(toDataItem),
       areas,
     };
 
@@ -485,15 +1067,57 @@ async function main() {
       JSON.stringify(jsonData, null, 2),
       "utf-8",
     );
+    await savePreviousData(previousFile, jsonData);
+    await saveHistory(historyFile, history);
+    report.status = "ok";
 
     console.log(`✅ Build completed!`);
     console.log(`📁 Output: ${outputPath}`);
     console.log(`📊 Items: ${items.length}`);
+    console.log(`📄 Detail pages: ${path.join(distDir, "items")}`);
+    console.log(`🛡️  Redaction report: ${redactionPath}`);
+    console.log(`📋 Build report: ${reportPath}`);
+    console.log(`🔗 Items with possible matches: ${matches.size}`);
+    console.log(`🌐 Languages: ${LOCALES.map((locale) => locale.code).join(", ")}`);
+    console.log(`📡 Feeds: ${feeds.length} (Atom + RSS)`);
+    console.log(`📤 Exports: ${exported.files.map((file) => file.format).join(", ")} + ${exported.shards.length} JSON shards`);
+    console.log(`🔎 Search index: ${searchIndex.terms} terms`);
+    console.log(
+      `🖼️  Images: ${imageStats.downloaded} downloaded, ${imageStats.unchanged} unchanged, ` +
+        `${imageStats.stale} from cache, ${imageStats.failed} failed`,
+    );
+
+    if (changes.baseline) {
+      console.log("🆕 Changes: no previous data.json, baseline build");
+    } else {
+      console.log(
+        `🆕 Changes: ${changes.added.length} added, ${changes.updated.length} updated, ` +
+          `${changes.resolved.length} resolved, ${changes.removed.length} removed`,
+      );
+      if (!hasChanges(changes)) {
+        console.log(`💤 Nothing changed since build ${changes.previous.buildId}, exiting with code ${EXIT_NO_CHANGES}`);
+        report.status = "unchanged";
+        process.exitCode = EXIT_NO_CHANGES;
+      }
+    }
   } catch (error) {
     console.error("❌ Build failed:", error);
+    if (report) {
+      if (report.status === "running") report.status = "failed";
+      report.error = error.message;
+    }
+  }
+
+  if (report) {
+    try {
+      await writeBuildReport(report, reportPath);
+    } catch (error) {
+      console.warn(`⚠️  Could not write build report ${reportPath}: ${error.message}`);
+    }
+  }
+  if (!report || report.status === "failed" || report.status === "blocked") {
     process.exit(1);
   }
 }
 
 main();
-
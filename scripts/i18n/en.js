@@ -0,0 +1,144 @@
+export default {
+  code: "en",
+  name: "English",
+  locale: "en-GB",
+  ogLocale: "en_GB",
+
+  types: {
+    FOUND: "Found",
+    LOST: "Lost",
+  },
+
+  statuses: {
+    APPROVED: "Open",
+    RESOLVED: "Resolved",
+  },
+
+  categories: {
+    ELECTRONICS: "Electronics",
+    CLOTHING: "Clothing",
+    DOCUMENTS: "Documents",
+    KEYS: "Keys",
+    WALLET: "Wallet",
+    JEWELRY: "Jewellery",
+    BAG: "Bag",
+    OTHER: "Other",
+  },
+
+  messages: {
+    SITE_TITLE: "Lost and found items",
+    SITE_HEADING: "Lost & found items",
+    SITE_SUBTITLE: "Choose below which listings to show – found and lost items on the same page.",
+    INDEX_DESCRIPTION: "A continuously updated list of lost and found items. {count} listings available.",
+    UPDATED: "Updated:",
+    LANGUAGE: "Language",
+
+    STATS_TOTAL: "Listings in total",
+    STATS_OPEN: "Open",
+    STATS_RESOLVED: "Resolved",
+    STATS_AREAS: "Different areas",
+    STATS_FACEBOOK: "Facebook posts",
+
+    FILTER_TYPE: "Listing type:",
+    FILTER_FOUND: "Found",
+    FILTER_LOST: "Lost",
+    FILTER_AREA: "Area:",
+    ALL_AREAS: "All areas",
+    FILTER_CATEGORY: "Category:",
+    ALL_CATEGORIES: "All categories",
+    FILTER_STATUS: "Status:",
+    ALL_STATUSES: "All",
+    SEARCH_PLACEHOLDER: "Search by name or description...",
+    SORT_LABEL: "Sort:",
+    SORT_RELEVANCE: "Best match first",
+    SORT_NEWEST: "Newest first",
+    SORT_OLDEST: "Oldest first",
+    SORT_AREA: "By area",
+    DATE_FROM: "Reported from:",
+    DATE_TO: "Reported until:",
+    VISIBLE_COUNT: "listings shown",
+    SAVED_SEARCH_LABEL: "Save the current filters:",
+    SAVED_SEARCH_PLACEHOLDER: "Search name, e.g. Keys in Kallio",
+    SAVED_SEARCH_SAVE: "Save search",
+    SAVED_SEARCHES_TITLE: "Saved searches",
+
+    NO_ITEMS: "No found items at the moment.",
+    NO_ITEMS_HINT: "Check back later!",
+    NO_RESULTS: "😔 No listings match the selected filters.",
+    NO_RESULTS_HINT: "Try changing your search criteria.",
+
+    NEW_BADGE: "New",
+    NO_IMAGE: "No image",
+    IMAGE_UNAVAILABLE: "Image not available",
+    NO_DATE: "No date",
+    INVALID_DATE: "Invalid date",
+    OPEN_FACEBOOK: "Open the Facebook post",
+    OPEN_INSTAGRAM: "Open the Instagram post",
+    MATCHES_TITLE: "Possible matches",
+    MATCH_SCORE: "Match score",
+    BACK_TO_LIST: "← All listings",
+    OFFLINE_BANNER: "Offline – data from {time} (build {build})",
+    OFFLINE_BANNER_UNKNOWN: "Offline – showing a saved copy",
+    AREA_LINKS_TITLE: "Browse by area",
+    AREA_PAGE_TITLE: "{type}: {area}",
+    AREA_PAGE_DESCRIPTION: "{type} items in {area}. {count} listings.",
+    AREA_NO_ITEMS: "No listings in this area.",
+    AREA_PAGES_TITLE: "Areas",
+    AREA_PAGES_DESCRIPTION: "Found and lost items by area. These pages also work without JavaScript.",
+    AREA_PAGES_ALL: "All areas",
+    STATS_PAGE_TITLE: "Statistics",
+    STATS_PAGE_DESCRIPTION: "Report counts, resolution rates and times, and the busiest areas.",
+    STATS_PAGE_INTRO: "Based on {count} listings tracked since {since}.",
+    STATS_WEEKLY_TITLE: "New listings per week",
+    STATS_LISTED_TITLE: "Listings on the site",
+    STATS_RESOLUTION_RATE_TITLE: "Share resolved by category",
+    STATS_RESOLUTION_TIME_TITLE: "Time to resolution by category (median)",
+    STATS_RESOLUTION_TIME_NOTE: "Only listings seen open before they were resolved are counted.",
+    STATS_NO_RESOLUTION_TIMES: "No resolution times have been recorded yet.",
+    STATS_DAYS: "{days} d",
+    STATS_AREAS_TITLE: "Busiest areas",
+    EMBED_TITLE: "Latest listings",
+    EMBED_SHOW_ALL: "All listings →",
+    EMBED_NO_ITEMS: "No listings match these options.",
+    EMBED_ERROR: "Could not load the listings.",
+    POSTER_TITLE: "Found items: {area}",
+    POSTER_INTRO: "Is one of these yours? Scan the QR code with your phone to see the listing and how to collect the item.",
+    POSTER_AREA_QR: "All found items in the area",
+    POSTER_UPDATED: "As of {date}",
+    POSTER_MORE: "{count} more listings – scan the QR code to see all found items in the area.",
+    POSTER_EMPTY: "No open found item listings in this area right now. Scan the QR code for new listings.",
+    POSTER_PRINT_HINT: "Print the poster on A4 with your browser's print command (Ctrl+P or ⌘P).",
+    POSTER_LINK: "Printable poster for notice boards",
+
+    FEED_ALL: "All listings",
+    FEED_FOUND: "Found items",
+    FEED_LOST: "Lost items",
+    FEED_SUMMARY: "{count} listings, the latest {max} in this feed",
+    FEEDS_TITLE: "Feeds",
+    FEEDS_DESCRIPTION: "RSS and Atom feeds of new listings by type and by area.",
+    FEEDS_INTRO:
+      "Subscribe to new listings in a feed reader or forward them to other channels. " +
+      "Every feed is available as Atom and RSS. The feeds are in Finnish.",
+    FEEDS_MAIN: "All and by type",
+    FEEDS_AREAS: "By area",
+
+    FOOTER_SNAPSHOT_BEFORE: "This page is a static snapshot of the",
+    FOOTER_SNAPSHOT_AFTER: " app.",
+    FOOTER_UPDATES: "The data is updated automatically every hour.",
+    FOOTER_ALL_ITEMS: "All listings",
+    FOOTER_JSON: "JSON data",
+    FOOTER_EXPORTS: "Data by area",
+    FOOTER_AREAS: "Areas",
+    FOOTER_STATS: "Statistics",
+    FOOTER_SOURCE: "Source code",
+    FOOTER_LAST_UPDATE: "Last updated:",
+  },
+
+  client: {
+    previousPage: "‹ Previous",
+    nextPage: "Next ›",
+    newSinceVisit: "{count} new since your last visit",
+    savedSearchNew: "{count} new",
+    deleteSavedSearch: "Delete search {name}",
+  },
+};
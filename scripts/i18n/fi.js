@@ -0,0 +1,148 @@
+// Suomi on oletuskieli: sen sivut kirjoitetaan dist/-juureen, ja puuttuvat käännökset haetaan täältä
+
+export default {
+  code: "fi",
+  name: "Suomi",
+  locale: "fi-FI",
+  ogLocale: "fi_FI",
+
+  types: {
+    FOUND: "Löytynyt",
+    LOST: "Kadonnut",
+  },
+
+  statuses: {
+    APPROVED: "Avoin",
+    RESOLVED: "Ratkaistu",
+  },
+
+  categories: {
+    ELECTRONICS: "Elektroniikka",
+    CLOTHING: "Vaatteet",
+    DOCUMENTS: "Asiakirjat",
+    KEYS: "Avaimet",
+    WALLET: "Lompakko",
+    JEWELRY: "Koru",
+    BAG: "Laukku",
+    OTHER: "Muu",
+  },
+
+  // Templateissa nimellä T_<AVAIN>; {nimi} korvataan t()-funktiossa
+  messages: {
+    SITE_TITLE: "Löytyneet ja kadonneet tavarat",
+    SITE_HEADING: "Kadonneet & löytyneet tavarat",
+    SITE_SUBTITLE: "Valitse alta kumpia ilmoituksia näytetään – löytyneet ja kadonneet samalla sivulla.",
+    INDEX_DESCRIPTION: "Vaihtuva lista kadonneista ja löydetyistä tavaroista. {count} ilmoitusta saatavilla.",
+    UPDATED: "Päivitetty:",
+    LANGUAGE: "Kieli",
+
+    STATS_TOTAL: "Ilmoitusta yhteensä",
+    STATS_OPEN: "Avoinna",
+    STATS_RESOLVED: "Ratkaistu",
+    STATS_AREAS: "Eri aluetta",
+    STATS_FACEBOOK: "Facebook-ilmoitusta",
+
+    FILTER_TYPE: "Ilmoitustyyppi:",
+    FILTER_FOUND: "Löytyneet",
+    FILTER_LOST: "Kadonneet",
+    FILTER_AREA: "Alue:",
+    ALL_AREAS: "Kaikki alueet",
+    FILTER_CATEGORY: "Kategoria:",
+    ALL_CATEGORIES: "Kaikki kategoriat",
+    FILTER_STATUS: "Tila:",
+    ALL_STATUSES: "Kaikki",
+    SEARCH_PLACEHOLDER: "Etsi nimellä tai kuvauksella...",
+    SORT_LABEL: "Järjestys:",
+    SORT_RELEVANCE: "Osuvimmat ensin",
+    SORT_NEWEST: "Uusimmat ensin",
+    SORT_OLDEST: "Vanhimmat ensin",
+    SORT_AREA: "Alueen mukaan",
+    DATE_FROM: "Ilmoitettu alkaen:",
+    DATE_TO: "Ilmoitettu viimeistään:",
+    VISIBLE_COUNT: "ilmoitusta näytetään",
+    SAVED_SEARCH_LABEL: "Tallenna nykyiset suodattimet:",
+    SAVED_SEARCH_PLACEHOLDER: "Haun nimi, esim. Avaimet Kalliossa",
+    SAVED_SEARCH_SAVE: "Tallenna haku",
+    SAVED_SEARCHES_TITLE: "Tallennetut haut",
+
+    NO_ITEMS: "Ei löytyneitä tavaroita tällä hetkellä.",
+    NO_ITEMS_HINT: "Tarkista myöhemmin uudelleen!",
+    NO_RESULTS: "😔 Ei löytynyt ilmoituksia valituilla suodattimilla.",
+    NO_RESULTS_HINT: "Kokeile muuttaa hakuehtoja.",
+
+    NEW_BADGE: "Uutta",
+    NO_IMAGE: "Ei kuvaa",
+    IMAGE_UNAVAILABLE: "Kuva ei saatavilla",
+    NO_DATE: "Ei päivämäärää",
+    INVALID_DATE: "Virheellinen päivämäärä",
+    OPEN_FACEBOOK: "Avaa Facebook-ilmoitus",
+    OPEN_INSTAGRAM: "Avaa Instagram-ilmoitus",
+    MATCHES_TITLE: "Mahdollisia osumia",
+    MATCH_SCORE: "Osuvuus",
+    BACK_TO_LIST: "← Kaikki ilmoitukset",
+    OFFLINE_BANNER: "Ei verkkoyhteyttä – tiedot ajalta {time} (build {build})",
+    OFFLINE_BANNER_UNKNOWN: "Ei verkkoyhteyttä – näytetään tallennettu versio",
+    AREA_LINKS_TITLE: "Selaa alueittain",
+    AREA_PAGE_TITLE: "{type}: {area}",
+    AREA_PAGE_DESCRIPTION: "{type} tavarat alueella {area}. {count} ilmoitusta.",
+    AREA_NO_ITEMS: "Ei ilmoituksia tällä alueella.",
+    AREA_PAGES_TITLE: "Alueet",
+    AREA_PAGES_DESCRIPTION: "Löytyneet ja kadonneet tavarat alueittain. Sivut toimivat myös ilman JavaScriptiä.",
+    AREA_PAGES_ALL: "Kaikki alueet",
+    STATS_PAGE_TITLE: "Tilastot",
+    STATS_PAGE_DESCRIPTION: "Ilmoitusmäärät, ratkaisuosuudet ja -ajat sekä vilkkaimmat alueet.",
+    STATS_PAGE_INTRO: "Luvut perustuvat {count} ilmoitukseen, joita on seurattu {since} alkaen.",
+    STATS_WEEKLY_TITLE: "Uudet ilmoitukset viikoittain",
+    STATS_LISTED_TITLE: "Ilmoituksia listalla",
+    STATS_RESOLUTION_RATE_TITLE: "Ratkaistujen osuus kategorioittain",
+    STATS_RESOLUTION_TIME_TITLE: "Ratkaisuaika kategorioittain (mediaani)",
+    STATS_RESOLUTION_TIME_NOTE: "Mukana vain ilmoitukset, jotka on nähty avoimena ennen ratkaisua.",
+    STATS_NO_RESOLUTION_TIMES: "Ratkaisuaikoja ei ole vielä kertynyt.",
+    STATS_DAYS: "{days} pv",
+    STATS_AREAS_TITLE: "Vilkkaimmat alueet",
+    EMBED_TITLE: "Uusimmat ilmoitukset",
+    EMBED_SHOW_ALL: "Kaikki ilmoitukset →",
+    EMBED_NO_ITEMS: "Ei ilmoituksia valituilla ehdoilla.",
+    EMBED_ERROR: "Ilmoituksia ei voitu ladata.",
+    POSTER_TITLE: "Löytyneitä tavaroita: {area}",
+    POSTER_INTRO: "Onko jokin näistä sinun? Skannaa QR-koodi puhelimella, niin näet ilmoituksen ja ohjeet tavaran noutamiseen.",
+    POSTER_AREA_QR: "Kaikki alueen löydöt",
+    POSTER_UPDATED: "Tilanne {date}",
+    POSTER_MORE: "Lisäksi {count} muuta ilmoitusta – katso kaikki alueen löydöt QR-koodista.",
+    POSTER_EMPTY: "Alueella ei ole nyt avoimia löytöilmoituksia. Uudet ilmoitukset näet QR-koodista.",
+    POSTER_PRINT_HINT: "Tulosta juliste A4-kokoisena selaimen tulostustoiminnolla (Ctrl+P tai ⌘P).",
+    POSTER_LINK: "Tulostettava juliste ilmoitustaululle",
+
+    FEED_ALL: "Kaikki ilmoitukset",
+    FEED_FOUND: "Löytyneet tavarat",
+    FEED_LOST: "Kadonneet tavarat",
+    FEED_SUMMARY: "{count} ilmoitusta, uusimmat {max} syötteessä",
+    FEEDS_TITLE: "Syötteet",
+    FEEDS_DESCRIPTION: "RSS- ja Atom-syötteet uusista ilmoituksista tyypeittäin ja alueittain.",
+    FEEDS_INTRO:
+      "Tilaa uudet ilmoitukset syötteenlukijaan tai välitä ne muihin kanaviin. " +
+      "Jokaisesta syötteestä on Atom- ja RSS-versio.",
+    FEEDS_MAIN: "Kaikki ja tyypeittäin",
+    FEEDS_AREAS: "Alueittain",
+
+    FOOTER_SNAPSHOT_BEFORE: "Tämä sivu on staattinen snapshot",
+    FOOTER_SNAPSHOT_AFTER: "-sovelluksesta.",
+    FOOTER_UPDATES: "Data päivittyy automaattisesti tunnin välein.",
+    FOOTER_ALL_ITEMS: "Kaikki ilmoitukset",
+    FOOTER_JSON: "JSON-data",
+    FOOTER_EXPORTS: "Aineistot alueittain",
+    FOOTER_AREAS: "Alueet",
+    FOOTER_STATS: "Tilastot",
+    FOOTER_SOURCE: "Lähdekoodi",
+    FOOTER_LAST_UPDATE: "Viimeisin päivitys:",
+  },
+
+  // public/js/app.js saa nämä sivun app-config-lohkosta
+  client: {
+    previousPage: "‹ Edellinen",
+    nextPage: "Seuraava ›",
+    newSinceVisit: "{count} uutta edellisen käyntisi jälkeen",
+    savedSearchNew: "{count} uutta",
+    deleteSavedSearch: "Poista haku {name}",
+  },
+};
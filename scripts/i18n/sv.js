@@ -0,0 +1,144 @@
+export default {
+  code: "sv",
+  name: "Svenska",
+  locale: "sv-FI",
+  ogLocale: "sv_FI",
+
+  types: {
+    FOUND: "Hittat",
+    LOST: "Borttappat",
+  },
+
+  statuses: {
+    APPROVED: "Öppen",
+    RESOLVED: "Löst",
+  },
+
+  categories: {
+    ELECTRONICS: "Elektronik",
+    CLOTHING: "Kläder",
+    DOCUMENTS: "Dokument",
+    KEYS: "Nycklar",
+    WALLET: "Plånbok",
+    JEWELRY: "Smycke",
+    BAG: "Väska",
+    OTHER: "Övrigt",
+  },
+
+  messages: {
+    SITE_TITLE: "Borttappade och hittade föremål",
+    SITE_HEADING: "Borttappade & hittade föremål",
+    SITE_SUBTITLE: "Välj nedan vilka annonser som visas – hittade och borttappade på samma sida.",
+    INDEX_DESCRIPTION: "En löpande uppdaterad lista över borttappade och hittade föremål. {count} annonser tillgängliga.",
+    UPDATED: "Uppdaterad:",
+    LANGUAGE: "Språk",
+
+    STATS_TOTAL: "Annonser totalt",
+    STATS_OPEN: "Öppna",
+    STATS_RESOLVED: "Lösta",
+    STATS_AREAS: "Olika områden",
+    STATS_FACEBOOK: "Facebook-annonser",
+
+    FILTER_TYPE: "Annonstyp:",
+    FILTER_FOUND: "Hittade",
+    FILTER_LOST: "Borttappade",
+    FILTER_AREA: "Område:",
+    ALL_AREAS: "Alla områden",
+    FILTER_CATEGORY: "Kategori:",
+    ALL_CATEGORIES: "Alla kategorier",
+    FILTER_STATUS: "Status:",
+    ALL_STATUSES: "Alla",
+    SEARCH_PLACEHOLDER: "Sök på namn eller beskrivning...",
+    SORT_LABEL: "Ordning:",
+    SORT_RELEVANCE: "Mest relevanta först",
+    SORT_NEWEST: "Nyaste först",
+    SORT_OLDEST: "Äldsta först",
+    SORT_AREA: "Efter område",
+    DATE_FROM: "Anmäld från:",
+    DATE_TO: "Anmäld senast:",
+    VISIBLE_COUNT: "annonser visas",
+    SAVED_SEARCH_LABEL: "Spara nuvarande filter:",
+    SAVED_SEARCH_PLACEHOLDER: "Sökningens namn, t.ex. Nycklar i Berghäll",
+    SAVED_SEARCH_SAVE: "Spara sökning",
+    SAVED_SEARCHES_TITLE: "Sparade sökningar",
+
+    NO_ITEMS: "Inga hittade föremål just nu.",
+    NO_ITEMS_HINT: "Titta in igen senare!",
+    NO_RESULTS: "😔 Inga annonser matchar de valda filtren.",
+    NO_RESULTS_HINT: "Försök ändra sökvillkoren.",
+
+    NEW_BADGE: "Nytt",
+    NO_IMAGE: "Ingen bild",
+    IMAGE_UNAVAILABLE: "Bilden är inte tillgänglig",
+    NO_DATE: "Inget datum",
+    INVALID_DATE: "Ogiltigt datum",
+    OPEN_FACEBOOK: "Öppna Facebook-annonsen",
+    OPEN_INSTAGRAM: "Öppna Instagram-annonsen",
+    MATCHES_TITLE: "Möjliga matchningar",
+    MATCH_SCORE: "Träffsäkerhet",
+    BACK_TO_LIST: "← Alla annonser",
+    OFFLINE_BANNER: "Ingen nätverksanslutning – uppgifter från {time} (build {build})",
+    OFFLINE_BANNER_UNKNOWN: "Ingen nätverksanslutning – visar en sparad version",
+    AREA_LINKS_TITLE: "Bläddra per område",
+    AREA_PAGE_TITLE: "{type}: {area}",
+    AREA_PAGE_DESCRIPTION: "{type} föremål i området {area}. {count} annonser.",
+    AREA_NO_ITEMS: "Inga annonser i det här området.",
+    AREA_PAGES_TITLE: "Områden",
+    AREA_PAGES_DESCRIPTION: "Hittade och borttappade föremål per område. Sidorna fungerar också utan JavaScript.",
+    AREA_PAGES_ALL: "Alla områden",
+    STATS_PAGE_TITLE: "Statistik",
+    STATS_PAGE_DESCRIPTION: "Antal annonser, andel och tid till lösning samt de livligaste områdena.",
+    STATS_PAGE_INTRO: "Siffrorna bygger på {count} annonser som följts sedan {since}.",
+    STATS_WEEKLY_TITLE: "Nya annonser per vecka",
+    STATS_LISTED_TITLE: "Annonser på listan",
+    STATS_RESOLUTION_RATE_TITLE: "Andel lösta per kategori",
+    STATS_RESOLUTION_TIME_TITLE: "Tid till lösning per kategori (median)",
+    STATS_RESOLUTION_TIME_NOTE: "Endast annonser som setts öppna innan de löstes räknas med.",
+    STATS_NO_RESOLUTION_TIMES: "Inga lösningstider har samlats ännu.",
+    STATS_DAYS: "{days} d",
+    STATS_AREAS_TITLE: "Livligaste områdena",
+    EMBED_TITLE: "Senaste annonserna",
+    EMBED_SHOW_ALL: "Alla annonser →",
+    EMBED_NO_ITEMS: "Inga annonser med de valda villkoren.",
+    EMBED_ERROR: "Annonserna kunde inte laddas.",
+    POSTER_TITLE: "Hittade föremål: {area}",
+    POSTER_INTRO: "Är något av detta ditt? Skanna QR-koden med telefonen för att se annonsen och hur du hämtar föremålet.",
+    POSTER_AREA_QR: "Alla hittade föremål i området",
+    POSTER_UPDATED: "Läget {date}",
+    POSTER_MORE: "Dessutom {count} andra annonser – se alla hittade föremål i området via QR-koden.",
+    POSTER_EMPTY: "Inga öppna annonser om hittade föremål i området just nu. Nya annonser ser du via QR-koden.",
+    POSTER_PRINT_HINT: "Skriv ut affischen i A4-format med webbläsarens utskriftsfunktion (Ctrl+P eller ⌘P).",
+    POSTER_LINK: "Affisch för anslagstavlan",
+
+    FEED_ALL: "Alla annonser",
+    FEED_FOUND: "Hittade föremål",
+    FEED_LOST: "Borttappade föremål",
+    FEED_SUMMARY: "{count} annonser, de {max} senaste i flödet",
+    FEEDS_TITLE: "Flöden",
+    FEEDS_DESCRIPTION: "RSS- och Atom-flöden med nya annonser per typ och område.",
+    FEEDS_INTRO:
+      "Prenumerera på nya annonser i en flödesläsare eller vidarebefordra dem till andra kanaler. " +
+      "Varje flöde finns i Atom- och RSS-format. Flödena är på finska.",
+    FEEDS_MAIN: "Alla och per typ",
+    FEEDS_AREAS: "Per område",
+
+    FOOTER_SNAPSHOT_BEFORE: "Den här sidan är en statisk ögonblicksbild av",
+    FOOTER_SNAPSHOT_AFTER: "-appen.",
+    FOOTER_UPDATES: "Uppgifterna uppdateras automatiskt varje timme.",
+    FOOTER_ALL_ITEMS: "Alla annonser",
+    FOOTER_JSON: "JSON-data",
+    FOOTER_EXPORTS: "Data per område",
+    FOOTER_AREAS: "Områden",
+    FOOTER_STATS: "Statistik",
+    FOOTER_SOURCE: "Källkod",
+    FOOTER_LAST_UPDATE: "Senast uppdaterad:",
+  },
+
+  client: {
+    previousPage: "‹ Föregående",
+    nextPage: "Nästa ›",
+    newSinceVisit: "{count} nya sedan ditt senaste besök",
+    savedSearchNew: "{count} nya",
+    deleteSavedSearch: "Ta bort sökningen {name}",
+  },
+};
@@ -0,0 +1,48 @@
+import { writeFile, mkdir } from "fs/promises";
+import path from "path";
+import { performance } from "perf_hooks";
+
+// build-report.json: määrät, varoitukset, julkaisun varmistukset ja vaiheiden kestot.
+// Raportti kirjoitetaan myös epäonnistuneesta buildista, jotta vian syy näkyy workflow'n artefaktista.
+
+export function createBuildReport({ buildId, source }) {
+  return {
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    buildId,
+    source,
+    status: "running",
+    forced: false,
+    error: null,
+    counts: {},
+    guards: [],
+    warnings: [],
+    timings: {},
+    startTime: performance.now(),
+  };
+}
+
+// Mittaa vaiheen keston millisekunteina report.timings[name]-kenttään
+export async function timed(report, name, fn) {
+  const start = performance.now();
+  try {
+    return await fn();
+  } finally {
+    report.timings[name] = Math.round(performance.now() - start);
+  }
+}
+
+export function addWarnings(report, scope, messages) {
+  for (const message of messages) {
+    report.warnings.push({ scope, message });
+  }
+}
+
+export async function writeBuildReport(report, filePath) {
+  const { startTime, ...data } = report;
+  data.finishedAt = new Date().toISOString();
+  data.timings = { ...data.timings, total: Math.round(performance.now() - startTime) };
+
+  await mkdir(path.dirname(filePath), { recursive: true });
+  await writeFile(filePath, JSON.stringify(data, null, 2), "utf-8");
+}
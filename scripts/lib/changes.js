@@ -0,0 +1,104 @@
+import { readFile, writeFile, mkdir } from "fs/promises";
+import { existsSync } from "fs";
+import path from "path";
+
+// Muutosloki edelliseen julkaistuun data.json:iin verrattuna.
+// Peilatun kuvan polkua ei verrata, koska epäonnistunut lataus ei tarkoita muuttunutta ilmoitusta.
+
+const COMPARED_FIELDS = [
+  "title",
+  "area",
+  "category",
+  "type",
+  "description",
+  "imageUrl",
+  "facebookLink",
+  "instagramLink",
+  "timestamp",
+];
+
+// Palauttaa null, jos edellistä buildia ei ole (ensimmäinen build tai tyhjä välimuisti)
+export async function loadPreviousData(filePath) {
+  if (!filePath || !existsSync(filePath)) return null;
+
+  try {
+    const data = JSON.parse(await readFile(filePath, "utf8"));
+    if (!Array.isArray(data.items)) throw new Error("items is not an array");
+    return data;
+  } catch (error) {
+    console.warn(`⚠️  Ignoring previous data ${filePath}: ${error.message}`);
+    return null;
+  }
+}
+
+export function diffItems(previousItems, items, resolvedStatuses = ["RESOLVED"]) {
+  const previousById = new Map(previousItems.map((item) => [item.id, item]));
+  const currentIds = new Set(items.map((item) => item.id));
+
+  const changes = { added: [], updated: [], resolved: [], removed: [] };
+
+  for (const item of items) {
+    const previous = previousById.get(item.id);
+    if (!previous) {
+      changes.added.push(item.id);
+      continue;
+    }
+
+    const newlyResolved = !resolvedStatuses.includes(previous.status) && resolvedStatuses.includes(item.status);
+    if (newlyResolved) changes.resolved.push(item.id);
+
+    // Pelkkä ratkaistuksi merkitseminen näkyy vain resolved-listassa
+    const statusChanged = previous.status !== item.status && !newlyResolved;
+    if (statusChanged || COMPARED_FIELDS.some((field) => (previous[field] ?? null) !== (item[field] ?? null))) {
+      changes.updated.push(item.id);
+    }
+  }
+
+  for (const id of previousById.keys()) {
+    if (!currentIds.has(id)) changes.removed.push(id);
+  }
+
+  return changes;
+}
+
+export function hasChanges(changes) {
+  return ["added", "updated", "resolved", "removed"].some((key) => changes[key].length > 0);
+}
+
+// Ilmoituksen viimeisin muutosaika (syötteiden updated, sitemapin lastmod). Aika kulkee buildista
+// toiseen data.json:n updatedAt-kentässä; muokattu tai ratkaistu ilmoitus saa tämän buildin ajan,
+// uusi ilmoitus ja vanhan data.json:n ilmoitus ilmoitusajan.
+export function getUpdatedTimes(previous, items, changes, buildTimestamp) {
+  const previousById = new Map((previous?.items || []).map((item) => [item.id, item]));
+  const changed = new Set([...changes.updated, ...changes.resolved]);
+
+  return new Map(
+    items.map((item) => {
+      const updatedAt = changed.has(item.id) ? buildTimestamp : previousById.get(item.id)?.updatedAt;
+      return [item.id, updatedAt && updatedAt > item.timestamp ? updatedAt : item.timestamp];
+    }),
+  );
+}
+
+export async function writeChanges(previous, items, { distDir, buildId, buildTimestamp, resolvedStatuses }) {
+  const changes = previous
+    ? diffItems(previous.items, items, resolvedStatuses)
+    : { added: [], updated: [], resolved: [], removed: [] };
+
+  const report = {
+    generatedAt: buildTimestamp,
+    buildId,
+    // Ilman vertailukohtaa koko sisältö on uusi, mutta yksittäisiä ilmoituksia ei merkitä uusiksi
+    baseline: !previous,
+    previous: previous ? { buildId: previous.buildId, timestamp: previous.timestamp } : null,
+    ...changes,
+  };
+
+  await writeFile(path.join(distDir, "changes.json"), JSON.stringify(report, null, 2), "utf-8");
+  return report;
+}
+
+export async function savePreviousData(filePath, jsonData) {
+  await mkdir(path.dirname(filePath), { recursive: true });
+  await writeFile(filePath, JSON.stringify(jsonData, null, 2), "utf-8");
+}
@@ -0,0 +1,141 @@
+import { escapeXml } from "./feeds.js";
+
+// Riippuvuudettomat SVG-kaaviot tilastosivulle. Kaaviot upotetaan sivuun sellaisenaan, joten
+// tekstien ja akselien tyylit tulevat styles.css:stä (.chart-*) ja vain sarjojen värit attribuuteista.
+
+const WIDTH = 640;
+const HEIGHT = 260;
+const MARGIN = { top: 36, right: 24, bottom: 32, left: 40 };
+const TICKS = 4;
+// x-akselin nimikkeitä enintään, ettei teksti mene päällekkäin
+const MAX_X_LABELS = 8;
+
+// Pyöristää ylöspäin lukuun 1, 2 tai 5 × 10^n, jotta apuviivat osuvat tasalukuihin
+function niceMax(value) {
+  if (value <= TICKS) return TICKS;
+  const magnitude = 10 ** Math.floor(Math.log10(value / TICKS));
+  const step = [1, 2, 5, 10].find((factor) => factor * magnitude * TICKS >= value) * magnitude;
+  return step * TICKS;
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+function svg(title, height, body) {
+  return (
+    `<svg class="chart" viewBox="0 0 ${WIDTH} ${height}" role="img" aria-label="${escapeXml(title)}">` +
+    `<title>${escapeXml(title)}</title>${body}</svg>`
+  );
+}
+
+function legend(series) {
+  let x = MARGIN.left;
+  return series
+    .map((entry) => {
+      const item =
+        `<rect x="${x}" y="8" width="12" height="12" rx="2" fill="${entry.color}"/>` +
+        `<text class="chart-legend" x="${x + 18}" y="18">${escapeXml(entry.label)}</text>`;
+      x += 30 + entry.label.length * 7;
+      return item;
+    })
+    .join("");
+}
+
+function yAxis(max, plotHeight) {
+  let out = "";
+  for (let tick = 0; tick <= TICKS; tick++) {
+    const value = (max / TICKS) * tick;
+    const y = round(MARGIN.top + plotHeight - (value / max) * plotHeight);
+    out +=
+      `<line class="chart-grid" x1="${MARGIN.left}" x2="${WIDTH - MARGIN.right}" y1="${y}" y2="${y}"/>` +
+      `<text class="chart-axis" x="${MARGIN.left - 6}" y="${y + 4}" text-anchor="end">${value}</text>`;
+  }
+  return out;
+}
+
+function xLabels(labels, xFor) {
+  const step = Math.ceil(labels.length / MAX_X_LABELS);
+  return labels
+    .map((label, index) =>
+      // Viimeinen nimike näytetään aina; sitä edeltävä jätetään pois, jos se osuisi liian lähelle
+      index === labels.length - 1 || (index % step === 0 && labels.length - 1 - index >= step)
+        ? `<text class="chart-axis" x="${round(xFor(index))}" y="${HEIGHT - 10}" text-anchor="middle">${escapeXml(label)}</text>`
+        : "",
+    )
+    .join("");
+}
+
+// Pinotut pylväät: series [{ label, color, values }], values samassa järjestyksessä kuin labels
+export function renderColumnChart({ title, labels, series }) {
+  const plotWidth = WIDTH - MARGIN.left - MARGIN.right;
+  const plotHeight = HEIGHT - MARGIN.top - MARGIN.bottom;
+  const totals = labels.map((_, index) => series.reduce((sum, entry) => sum + entry.values[index], 0));
+  const max = niceMax(Math.max(0, ...totals));
+  const slot = plotWidth / labels.length;
+  const barWidth = round(slot * 0.7);
+  const xFor = (index) => MARGIN.left + slot * index + slot / 2;
+
+  let bars = "";
+  labels.forEach((label, index) => {
+    let top = MARGIN.top + plotHeight;
+    for (const entry of series) {
+      const value = entry.values[index];
+      if (value === 0) continue;
+      const height = (value / max) * plotHeight;
+      top -= height;
+      bars +=
+        `<rect x="${round(xFor(index) - barWidth / 2)}" y="${round(top)}" width="${barWidth}" height="${round(height)}" fill="${entry.color}">` +
+        `<title>${escapeXml(`${label} – ${entry.label}: ${value}`)}</title></rect>`;
+    }
+  });
+
+  return svg(title, HEIGHT, legend(series) + yAxis(max, plotHeight) + bars + xLabels(labels, xFor));
+}
+
+// Viivat: series [{ label, color, values }]; yksittäinen piste piirretään ympyränä
+export function renderLineChart({ title, labels, series }) {
+  const plotWidth = WIDTH - MARGIN.left - MARGIN.right;
+  const plotHeight = HEIGHT - MARGIN.top - MARGIN.bottom;
+  const max = niceMax(Math.max(0, ...series.flatMap((entry) => entry.values)));
+  const xFor = (index) => MARGIN.left + (labels.length > 1 ? (plotWidth / (labels.length - 1)) * index : plotWidth / 2);
+  const yFor = (value) => MARGIN.top + plotHeight - (value / max) * plotHeight;
+
+  const lines = series
+    .map((entry) => {
+      const points = entry.values.map((value, index) => `${round(xFor(index))},${round(yFor(value))}`);
+      if (points.length === 1) {
+        const [x, y] = points[0].split(",");
+        return `<circle cx="${x}" cy="${y}" r="4" fill="${entry.color}"/>`;
+      }
+      return `<polyline points="${points.join(" ")}" fill="none" stroke="${entry.color}" stroke-width="2" stroke-linejoin="round"/>`;
+    })
+    .join("");
+
+  return svg(title, HEIGHT, legend(series) + yAxis(max, plotHeight) + lines + xLabels(labels, xFor));
+}
+
+// Vaakapalkit: rows [{ label, value, text }]; text on palkin perään kirjoitettava arvo
+export function renderBarList({ title, rows, color, max }) {
+  const rowHeight = 26;
+  const labelWidth = 170;
+  const valueWidth = 120;
+  const height = Math.max(1, rows.length) * rowHeight + 8;
+  const barSpace = WIDTH - labelWidth - valueWidth;
+  const scale = max || Math.max(1, ...rows.map((row) => row.value));
+
+  const body = rows
+    .map((row, index) => {
+      const y = 4 + index * rowHeight;
+      const width = round((row.value / scale) * barSpace);
+      return (
+        `<text class="chart-label" x="${labelWidth - 8}" y="${y + 17}" text-anchor="end">${escapeXml(row.label)}</text>` +
+        `<rect class="chart-track" x="${labelWidth}" y="${y + 4}" width="${barSpace}" height="${rowHeight - 8}" rx="3"/>` +
+        (width > 0 ? `<rect x="${labelWidth}" y="${y + 4}" width="${width}" height="${rowHeight - 8}" rx="3" fill="${color}"/>` : "") +
+        `<text class="chart-value" x="${labelWidth + barSpace + 8}" y="${y + 17}">${escapeXml(row.text)}</text>`
+      );
+    })
+    .join("");
+
+  return svg(title, height, body);
+}
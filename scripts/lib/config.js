@@ -0,0 +1,218 @@
+import { readFile } from "fs/promises";
+import { existsSync } from "fs";
+import path from "path";
+import { pathToFileURL } from "url";
+import { CATEGORIES } from "./normalize.js";
+import { LOCALES, DEFAULT_LOCALE, getCatalog } from "./i18n.js";
+
+// Käyttöönottokohtaiset asetukset: lostfound.config.js tai lostfound.config.json projektin juuressa.
+//
+// Arvot luetaan järjestyksessä oletukset → konfiguraatiotiedosto → ympäristömuuttujat → CLI,
+// ja lopputulos tarkistetaan SCHEMA-kuvausta vasten. Toinen kaupunki voi näin ottaa työkalun
+// käyttöön omalla kokoelmallaan, kategorioillaan ja osoitteellaan ilman forkkia.
+
+export const CONFIG_FILES = ["lostfound.config.js", "lostfound.config.json"];
+
+export const DEFAULT_CONFIG = {
+  // Firestore-kokoelma ja julkaistavat tilat (ks. sources/)
+  collection: "lostItems",
+  statuses: ["APPROVED", "RESOLVED"],
+  // Julkaistuista tiloista ne, jotka tarkoittavat ratkaistua; muut ovat avoimia
+  resolvedStatuses: ["RESOLVED"],
+  statusLabels: {},
+  categories: CATEGORIES,
+  fallbackCategory: "OTHER",
+  categoryLabels: {},
+  // Puuttuvan otsikon ja alueen tilalle (normalize.js); fallbackArea on osumissa "tuntematon alue"
+  fallbackTitle: "Ei nimeä",
+  fallbackArea: "Tuntematon",
+  // { "Kallio": [60.184, 24.950] } eli [leveys, pituus]; GeoJSON kirjoitetaan vain, jos alueita on
+  areaCoordinates: {},
+  // { "Kallio": ["Sörnäinen", ...] } osumien pisteytykseen (matching.js); toimii molempiin suuntiin
+  nearbyAreas: {},
+  outDir: "dist",
+  siteUrl: "",
+  basePath: "",
+  // Alatekstin lähdekoodilinkki; oletuksena GitHub Actionsin GITHUB_REPOSITORY
+  repositoryUrl: "",
+};
+
+// Listat annetaan ympäristömuuttujissa pilkuilla eroteltuina
+export const ENV_OVERRIDES = {
+  collection: "FIRESTORE_COLLECTION",
+  statuses: "PUBLISHED_STATUSES",
+  resolvedStatuses: "RESOLVED_STATUSES",
+  categories: "CATEGORIES",
+  outDir: "OUT_DIR",
+  siteUrl: "SITE_URL",
+  repositoryUrl: "REPOSITORY_URL",
+  basePath: "BASE_PATH",
+};
+
+const CODE = /^[A-Z][A-Z0-9_]*$/;
+
+const SCHEMA = {
+  collection: { type: "string", pattern: /^[A-Za-z0-9_-]+$/ },
+  statuses: { type: "array", minItems: 1, unique: true, items: { type: "string", pattern: CODE } },
+  resolvedStatuses: { type: "array", unique: true, items: { type: "string", pattern: CODE } },
+  statusLabels: { type: "object", values: { type: "object", values: { type: "string", minLength: 1 } } },
+  categories: { type: "array", minItems: 1, unique: true, items: { type: "string", pattern: CODE } },
+  fallbackCategory: { type: "string", pattern: CODE },
+  categoryLabels: { type: "object", values: { type: "object", values: { type: "string", minLength: 1 } } },
+  fallbackTitle: { type: "string", minLength: 1 },
+  fallbackArea: { type: "string", minLength: 1 },
+  areaCoordinates: {
+    type: "object",
+    values: { type: "array", minItems: 2, maxItems: 2, items: { type: "number" } },
+  },
+  nearbyAreas: { type: "object", values: { type: "array", unique: true, items: { type: "string", minLength: 1 } } },
+  outDir: { type: "string", minLength: 1 },
+  siteUrl: { type: "string", format: "url" },
+  repositoryUrl: { type: "string", format: "url" },
+  basePath: { type: "string", pattern: /^(\/([^/?#]+\/)*)?$/ },
+};
+
+function typeOf(value) {
+  if (Array.isArray(value)) return "array";
+  if (value === null) return "null";
+  return typeof value;
+}
+
+function checkValue(value, rule, name, errors) {
+  if (typeOf(value) !== rule.type) {
+    errors.push(`${name} must be of type ${rule.type}, got ${typeOf(value)}`);
+    return;
+  }
+
+  if (rule.type === "string") {
+    if (rule.minLength && value.length < rule.minLength) errors.push(`${name} must not be empty`);
+    if (rule.pattern && value !== "" && !rule.pattern.test(value)) {
+      errors.push(`${name} "${value}" does not match ${rule.pattern}`);
+    }
+    if (rule.format === "url" && value !== "" && !/^https?:\/\/[^/]+/.test(value)) {
+      errors.push(`${name} must be an http(s) URL, got "${value}"`);
+    }
+  }
+
+  if (rule.type === "number" && !Number.isFinite(value)) {
+    errors.push(`${name} must be a finite number`);
+  }
+
+  if (rule.type === "array") {
+    if (rule.minItems && value.length < rule.minItems) errors.push(`${name} must have at least ${rule.minItems} item(s)`);
+    if (rule.maxItems && value.length > rule.maxItems) errors.push(`${name} must have at most ${rule.maxItems} item(s)`);
+    value.forEach((item, index) => checkValue(item, rule.items, `${name}[${index}]`, errors));
+    const duplicates = rule.unique ? value.filter((item, index) => value.indexOf(item) !== index) : [];
+    if (duplicates.length > 0) errors.push(`${name} has duplicates: ${duplicates.join(", ")}`);
+  }
+
+  if (rule.type === "object") {
+    for (const [key, item] of Object.entries(value)) {
+      checkValue(item, rule.values, `${name}.${key}`, errors);
+    }
+  }
+}
+
+// { KOODI: { fi: "...", sv: "..." } }: koodin on oltava listalla ja kielen tunnettu
+function checkLabels(labels, codes, name, listName, errors) {
+  const localeCodes = LOCALES.map((locale) => locale.code);
+  for (const [code, byLocale] of Object.entries(labels)) {
+    if (!codes.includes(code)) {
+      errors.push(`${name}.${code} is not one of ${listName}`);
+    }
+    for (const locale of Object.keys(byLocale)) {
+      if (!localeCodes.includes(locale)) {
+        errors.push(`${name}.${code}.${locale}: unknown locale (expected one of: ${localeCodes.join(", ")})`);
+      }
+    }
+  }
+}
+
+export function validateConfig(config) {
+  const errors = [];
+
+  for (const key of Object.keys(config)) {
+    if (!SCHEMA[key]) errors.push(`unknown option "${key}" (expected one of: ${Object.keys(SCHEMA).join(", ")})`);
+  }
+  for (const [key, rule] of Object.entries(SCHEMA)) {
+    checkValue(config[key], rule, key, errors);
+  }
+  if (errors.length > 0) return errors;
+
+  if (!config.categories.includes(config.fallbackCategory)) {
+    errors.push(`fallbackCategory "${config.fallbackCategory}" must be one of categories`);
+  }
+  for (const status of config.resolvedStatuses) {
+    if (!config.statuses.includes(status)) errors.push(`resolvedStatuses: "${status}" is not one of statuses`);
+  }
+  // Sivuilla näytetään tilan nimi, joten uusille tiloille on annettava vähintään oletuskielinen nimi
+  for (const status of config.statuses) {
+    if (!getCatalog().statuses[status] && !config.statusLabels[status]?.[DEFAULT_LOCALE]) {
+      errors.push(`statusLabels.${status}.${DEFAULT_LOCALE} is required for a status without a built-in label`);
+    }
+  }
+  checkLabels(config.categoryLabels, config.categories, "categoryLabels", "categories", errors);
+  checkLabels(config.statusLabels, config.statuses, "statusLabels", "statuses", errors);
+  for (const [area, [latitude, longitude]] of Object.entries(config.areaCoordinates)) {
+    if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+      errors.push(`areaCoordinates.${area} must be [latitude, longitude], got [${latitude}, ${longitude}]`);
+    }
+  }
+  for (const [area, nearby] of Object.entries(config.nearbyAreas)) {
+    if (nearby.includes(area)) errors.push(`nearbyAreas.${area} must not list the area itself`);
+  }
+  if (config.siteUrl && config.basePath && new URL(config.siteUrl).pathname.replace(/\/?$/, "/") !== config.basePath) {
+    errors.push(`basePath "${config.basePath}" does not match the path of siteUrl "${config.siteUrl}"`);
+  }
+  return errors;
+}
+
+async function readConfigFile(filePath) {
+  if (filePath.endsWith(".json")) {
+    return JSON.parse(await readFile(filePath, "utf8"));
+  }
+  const module = await import(pathToFileURL(filePath).href);
+  return module.default;
+}
+
+function readEnvOverrides(env) {
+  const overrides = {};
+  for (const [key, name] of Object.entries(ENV_OVERRIDES)) {
+    const raw = env[name];
+    if (raw === undefined || raw === "") continue;
+    overrides[key] = Array.isArray(DEFAULT_CONFIG[key])
+      ? raw.split(",").map((value) => value.trim()).filter(Boolean)
+      : raw.trim();
+  }
+  return overrides;
+}
+
+// Palauttaa { config, file }; file on null, jos konfiguraatiotiedostoa ei ole
+export async function loadConfig({ rootDir, configPath, env = process.env, overrides = {} }) {
+  const file = configPath
+    ? path.resolve(configPath)
+    : CONFIG_FILES.map((name) => path.join(rootDir, name)).find((candidate) => existsSync(candidate)) || null;
+
+  let fromFile = {};
+  if (file) {
+    if (!existsSync(file)) throw new Error(`Config file ${file} not found`);
+    try {
+      fromFile = await readConfigFile(file);
+    } catch (error) {
+      throw new Error(`Could not read config file ${file}: ${error.message}`);
+    }
+    if (typeOf(fromFile) !== "object") {
+      throw new Error(`Config file ${file} must contain an object`);
+    }
+  }
+
+  const cliOverrides = Object.fromEntries(Object.entries(overrides).filter(([, value]) => value !== undefined));
+  const config = { ...DEFAULT_CONFIG, ...fromFile, ...readEnvOverrides(env), ...cliOverrides };
+
+  const errors = validateConfig(config);
+  if (errors.length > 0) {
+    throw new Error(`Invalid configuration${file ? ` in ${file}` : ""}:\n  - ${errors.join("\n  - ")}`);
+  }
+
+  return { config, file };
+}
@@ -0,0 +1,50 @@
+import { readFile, writeFile } from "fs/promises";
+import path from "path";
+import { loadTemplate, rawJson } from "./template.js";
+import { DEFAULT_LOCALE, LOCALES, getCatalog, getTemplateMessages, t } from "./i18n.js";
+
+// Upotettava pienoisnäkymä kumppanisivuille ja blogiin: dist/embed.js (script-tagi) ja
+// dist/embed.html (iframe). Molemmat lukevat export/-hakemiston osiot (ks. exports.js), joten
+// embed.js:ään tarvitaan vain käännökset ja tyylit. Tyylit ovat myös erillisenä embed.css:nä
+// selaimille, joissa ei ole constructed stylesheet -tukea; inline-<style> estyisi CSP:ssä.
+
+function getEmbedMessages(catalog) {
+  return {
+    locale: catalog.locale,
+    title: t(catalog, "EMBED_TITLE"),
+    showAll: t(catalog, "EMBED_SHOW_ALL"),
+    noItems: t(catalog, "EMBED_NO_ITEMS"),
+    error: t(catalog, "EMBED_ERROR"),
+    types: catalog.types,
+    statuses: catalog.statuses,
+  };
+}
+
+export async function writeEmbedFiles({ distDir, templatesDir, statuses, resolvedStatuses }) {
+  const styles = await readFile(path.join(templatesDir, "embed.css"), "utf8");
+  await writeFile(path.join(distDir, "embed.css"), styles, "utf-8");
+
+  const renderScript = await loadTemplate(templatesDir, "embed.js");
+  await writeFile(
+    path.join(distDir, "embed.js"),
+    renderScript({
+      MESSAGES: rawJson(Object.fromEntries(LOCALES.map((catalog) => [catalog.code, getEmbedMessages(catalog)]))),
+      DEFAULT_LOCALE,
+      STYLES: rawJson(styles),
+      STATUS_GROUPS: rawJson({
+        open: statuses.filter((status) => !resolvedStatuses.includes(status)),
+        resolved: resolvedStatuses,
+      }),
+    }),
+    "utf-8",
+  );
+
+  // Kieli valitaan ?lang=-parametrilla, joten sivu kirjoitetaan vain kerran
+  const catalog = getCatalog();
+  const renderPage = await loadTemplate(templatesDir, "embed.html");
+  await writeFile(
+    path.join(distDir, "embed.html"),
+    renderPage({ ...getTemplateMessages(catalog), LANG: catalog.code, ROOT: "" }),
+    "utf-8",
+  );
+}
@@ -0,0 +1,196 @@
+import { writeFile, mkdir, rm } from "fs/promises";
+import path from "path";
+import { getItemPagePath } from "./format.js";
+import { createSlugMap, TYPE_SLUGS } from "./slug.js";
+
+// Koneluettavat aineistot dist/export/-hakemistoon yhteistyökumppaneille ja upotuksille:
+// CSV (taulukkolaskentaan), NDJSON, alue- ja tyyppikohtaiset JSON-osiot ja GeoJSON.
+//
+// Kaikki tiedostot noudattavat samaa ilmoitusskeemaa (export/schema/item-v<N>.json). Skeeman
+// versio nostetaan, kun kenttiä poistetaan tai niiden merkitys muuttuu; uusien kenttien
+// lisääminen ei vaadi uutta versiota, joten skeema sallii tuntemattomat kentät. JSON-tiedostoissa
+// versio on metatiedoissa, CSV:ssä ja NDJSON:ssa jokaisen rivin schemaVersion-kentässä.
+
+export const EXPORT_SCHEMA_VERSION = 1;
+const EXPORT_DIR = "export";
+const SCHEMA_PATH = `schema/item-v${EXPORT_SCHEMA_VERSION}.json`;
+
+// Sarakkeet CSV:ssä tässä järjestyksessä (ja viimeisenä schemaVersion); sama järjestys JSON-tietueissa
+export const EXPORT_FIELDS = [
+  "id",
+  "type",
+  "status",
+  "category",
+  "area",
+  "title",
+  "description",
+  "timestamp",
+  "url",
+  "imageUrl",
+  "thumbnailUrl",
+  "facebookLink",
+  "instagramLink",
+];
+
+// Tilat tulevat lostfound.config-tiedostosta, joten enum kirjoitetaan buildin asetuksilla
+function getItemSchema(statuses, resolvedStatuses) {
+  const open = statuses.filter((status) => !resolvedStatuses.includes(status));
+  return {
+    $schema: "https://json-schema.org/draft/2020-12/schema",
+    title: `Lost&Found item, schema version ${EXPORT_SCHEMA_VERSION}`,
+    type: "object",
+    required: ["id", "type", "status", "category", "area", "title", "timestamp", "url"],
+    properties: {
+      id: { type: "string", description: "Pysyvä tunniste (Firestoren doc id)" },
+      type: { enum: ["FOUND", "LOST"] },
+      status: {
+        enum: statuses,
+        description: `Avoin: ${open.join(", ") || "-"}; ratkaistu: ${resolvedStatuses.join(", ") || "-"}`,
+      },
+      category: { type: "string", description: "Kategoriakoodi, esim. KEYS" },
+      area: { type: "string" },
+      title: { type: "string" },
+      description: { type: "string" },
+      timestamp: { type: "string", format: "date-time" },
+      url: { type: "string", format: "uri", description: "Ilmoituksen sivu" },
+      imageUrl: { type: ["string", "null"], format: "uri", description: "Peilattu kuva (JPEG)" },
+      thumbnailUrl: { type: ["string", "null"], format: "uri", description: "Pikkukuva (JPEG)" },
+      facebookLink: { type: ["string", "null"], format: "uri" },
+      instagramLink: { type: ["string", "null"], format: "uri" },
+    },
+    additionalProperties: true,
+  };
+}
+
+function toExportItem(item, siteUrl) {
+  return {
+    id: item.id,
+    type: item.type,
+    status: item.status,
+    category: item.category,
+    area: item.area,
+    title: item.title,
+    description: item.description || "",
+    timestamp: item.timestamp,
+    url: new URL(getItemPagePath(item), siteUrl).href,
+    imageUrl: item.image ? new URL(item.image.full, siteUrl).href : null,
+    thumbnailUrl: item.image ? new URL(item.image.thumb, siteUrl).href : null,
+    facebookLink: item.facebookLink || null,
+    instagramLink: item.instagramLink || null,
+  };
+}
+
+// RFC 4180: lainausmerkit, jos kentässä on erotin, lainausmerkki tai rivinvaihto.
+// Kaavaksi tulkittavat alut (=, +, -, @, sarkain, CR) suojataan heittomerkillä, jottei Excel suorita niitä.
+export function csvField(value) {
+  let s = value === null || value === undefined ? "" : String(value);
+  if (/^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\r\n]|^\s|\s$/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// Rivikohtainen versio, koska CSV- ja NDJSON-tiedostoissa ei ole paikkaa metatiedoille
+function withVersion(record) {
+  return { ...record, schemaVersion: EXPORT_SCHEMA_VERSION };
+}
+
+const CSV_FIELDS = [...EXPORT_FIELDS, "schemaVersion"];
+
+export function renderCsv(records) {
+  const rows = [CSV_FIELDS, ...records.map(withVersion).map((record) => CSV_FIELDS.map((field) => record[field]))];
+  // BOM, jotta Excel tunnistaa UTF-8:n (ä, ö)
+  return "\uFEFF" + rows.map((row) => row.map(csvField).join(",")).join("\r\n") + "\r\n";
+}
+
+export function renderNdjson(records) {
+  return records.map((record) => JSON.stringify(withVersion(record))).join("\n") + (records.length > 0 ? "\n" : "");
+}
+
+// Alueen ilmoitukset samassa pisteessä; GeoJSON:ssa koordinaatit ovat järjestyksessä [pituus, leveys]
+export function renderGeoJson(records, areaCoordinates, meta) {
+  const features = records
+    .filter((record) => areaCoordinates[record.area])
+    .map((record) => {
+      const [latitude, longitude] = areaCoordinates[record.area];
+      return {
+        type: "Feature",
+        id: record.id,
+        geometry: { type: "Point", coordinates: [longitude, latitude] },
+        properties: record,
+      };
+    });
+  return { type: "FeatureCollection", ...meta, features };
+}
+
+async function writeJson(filePath, data) {
+  await writeFile(filePath, JSON.stringify(data, null, 2), "utf-8");
+}
+
+export async function writeExports(
+  items,
+  areas,
+  { distDir, siteUrl, buildId, generatedAt, areaCoordinates, statuses, resolvedStatuses },
+) {
+  const exportDir = path.join(distDir, EXPORT_DIR);
+  await rm(exportDir, { recursive: true, force: true });
+  await mkdir(path.join(exportDir, "schema"), { recursive: true });
+
+  // Uusimmat ensin, kuten syötteissä
+  const records = [...items]
+    .sort((a, b) => b.timestamp.localeCompare(a.timestamp))
+    .map((item) => toExportItem(item, siteUrl));
+  const meta = { schemaVersion: EXPORT_SCHEMA_VERSION, schema: SCHEMA_PATH, buildId, generatedAt };
+
+  await writeJson(path.join(exportDir, SCHEMA_PATH), getItemSchema(statuses, resolvedStatuses));
+  await writeFile(path.join(exportDir, "items.csv"), renderCsv(records), "utf-8");
+  await writeFile(path.join(exportDir, "items.ndjson"), renderNdjson(records), "utf-8");
+
+  const files = [
+    { path: "items.csv", format: "csv", count: records.length, columns: CSV_FIELDS },
+    { path: "items.ndjson", format: "ndjson", count: records.length },
+  ];
+
+  if (Object.keys(areaCoordinates).length > 0) {
+    const geoJson = renderGeoJson(records, areaCoordinates, meta);
+    await writeJson(path.join(exportDir, "items.geojson"), geoJson);
+    files.push({
+      path: "items.geojson",
+      format: "geojson",
+      count: geoJson.features.length,
+      // Ilmoitukset, joiden alueelle ei ole koordinaatteja, jäävät pois
+      missing: records.length - geoJson.features.length,
+    });
+  }
+
+  // Osioiden nimet ovat samat kuin syötteiden (feeds/alue-kallio.atom.xml → export/alue-kallio.json)
+  const areaSlugs = createSlugMap(areas);
+  const shardDefinitions = [
+    { key: "kaikki", filter: {}, records },
+    ...Object.entries(TYPE_SLUGS).map(([type, slug]) => ({
+      key: slug,
+      filter: { type },
+      records: records.filter((record) => record.type === type),
+    })),
+    ...areas.map((area) => ({
+      key: `alue-${areaSlugs.get(area)}`,
+      filter: { area },
+      records: records.filter((record) => record.area === area),
+    })),
+  ];
+
+  const shards = [];
+  for (const shard of shardDefinitions) {
+    const shardPath = `${shard.key}.json`;
+    await writeJson(path.join(exportDir, shardPath), {
+      ...meta,
+      ...shard.filter,
+      count: shard.records.length,
+      items: shard.records,
+    });
+    shards.push({ path: shardPath, ...shard.filter, count: shard.records.length });
+  }
+
+  // Polut ovat suhteessa export/-hakemistoon; siteUrl on osoite, josta tietueiden url-kentät alkavat
+  await writeJson(path.join(exportDir, "index.json"), { ...meta, siteUrl, files, shards });
+
+  return { files, shards };
+}
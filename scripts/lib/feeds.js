@@ -0,0 +1,182 @@
+import { writeFile, mkdir, rm } from "fs/promises";
+import path from "path";
+import { getCategoryName, getTypeName, getItemPagePath } from "./format.js";
+import { LOCALES, DEFAULT_LOCALE, getLocalePrefix, t } from "./i18n.js";
+import { createSlugMap, TYPE_SLUGS } from "./slug.js";
+
+// Atom- ja RSS-syötteet jokaisen kieliversion feeds/-hakemistoon (dist/feeds/, dist/sv/feeds/...):
+// kaikki ilmoitukset, tyypeittäin ja alueittain. Merkinnän id johdetaan Firestoren doc id:stä,
+// joten se pysyy samana buildista toiseen ja kieliversiosta toiseen.
+
+const MAX_ENTRIES = 50;
+
+const TYPE_FEEDS = [
+  { type: "FOUND", slug: TYPE_SLUGS.FOUND, message: "FEED_FOUND" },
+  { type: "LOST", slug: TYPE_SLUGS.LOST, message: "FEED_LOST" },
+];
+
+export function escapeXml(text) {
+  if (text === null || text === undefined) return "";
+  return String(text)
+    // XML 1.0 ei salli näitä ohjausmerkkejä edes escapattuina
+    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\uFFFE\uFFFF]/g, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+function toEntry(item, siteUrl, catalog) {
+  return {
+    id: `urn:lostfound:item:${encodeURIComponent(item.id)}`,
+    title: `${getTypeName(item.type, catalog)}: ${item.title} (${item.area})`,
+    link: new URL(getLocalePrefix(catalog) + getItemPagePath(item), siteUrl).href,
+    published: item.timestamp,
+    // Viimeisin muutos (ks. changes.js), jotta lukijat näkevät muokkaukset ja ratkaisut
+    updated: item.updatedAt || item.timestamp,
+    summary: item.description,
+    category: getCategoryName(item.category, catalog),
+    // Peilatut kuvat ovat aina JPEG-muodossa (ks. images.js)
+    image: item.image
+      ? { url: new URL(item.image.full, siteUrl).href, type: "image/jpeg", length: item.image.bytes }
+      : null,
+  };
+}
+
+function renderAtom(feed) {
+  const entries = feed.entries
+    .map(
+      (entry) => `
+  <entry>
+    <id>${escapeXml(entry.id)}</id>
+    <title>${escapeXml(entry.title)}</title>
+    <link rel="alternate" type="text/html" href="${escapeXml(entry.link)}"/>
+    ${entry.image ? `<link rel="enclosure" type="${escapeXml(entry.image.type)}" length="${entry.image.length}" href="${escapeXml(entry.image.url)}"/>` : ""}
+    <published>${escapeXml(entry.published)}</published>
+    <updated>${escapeXml(entry.updated)}</updated>
+    <category term="${escapeXml(entry.category)}"/>
+    <summary type="text">${escapeXml(entry.summary)}</summary>
+  </entry>`,
+    )
+    .join("");
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${escapeXml(feed.language)}">
+  <id>${escapeXml(feed.url)}</id>
+  <title>${escapeXml(feed.title)}</title>
+  <subtitle>${escapeXml(feed.description)}</subtitle>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.url)}"/>
+  <link rel="alternate" type="text/html" href="${escapeXml(feed.siteUrl)}"/>
+  <updated>${escapeXml(feed.updated)}</updated>
+  <author><name>Lost&amp;Found</name></author>${entries}
+</feed>
+`;
+}
+
+function renderRss(feed) {
+  const items = feed.entries
+    .map(
+      (entry) => `
+    <item>
+      <guid isPermaLink="false">${escapeXml(entry.id)}</guid>
+      <title>${escapeXml(entry.title)}</title>
+      <link>${escapeXml(entry.link)}</link>
+      <pubDate>${new Date(entry.published).toUTCString()}</pubDate>
+      <category>${escapeXml(entry.category)}</category>
+      <description>${escapeXml(entry.summary)}</description>
+      ${entry.image ? `<enclosure url="${escapeXml(entry.image.url)}" length="${entry.image.length}" type="${escapeXml(entry.image.type)}"/>` : ""}
+    </item>`,
+    )
+    .join("");
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <link>${escapeXml(feed.siteUrl)}</link>
+    <description>${escapeXml(feed.description)}</description>
+    <language>${escapeXml(feed.language)}</language>
+    <atom:link rel="self" type="application/rss+xml" href="${escapeXml(feed.url)}"/>
+    <lastBuildDate>${new Date(feed.updated).toUTCString()}</lastBuildDate>${items}
+  </channel>
+</rss>
+`;
+}
+
+function getFeedDefinitions(items, areas, catalog) {
+  const areaSlugs = createSlugMap(areas);
+
+  return [
+    { key: "kaikki", title: t(catalog, "SITE_TITLE"), items },
+    ...TYPE_FEEDS.map(({ type, slug, message }) => ({
+      key: slug,
+      title: t(catalog, message),
+      items: items.filter((item) => item.type === type),
+    })),
+    ...areas.map((area) => ({
+      key: `alue-${areaSlugs.get(area)}`,
+      title: `${t(catalog, "SITE_TITLE")}: ${area}`,
+      area,
+      items: items.filter((item) => item.area === area),
+    })),
+  ];
+}
+
+// Palauttaa oletuskielen syötteet; polut ovat kieliversion juuresta, joten ne käyvät kaikille kielille
+export async function writeFeeds(items, areas, { distDir, siteUrl, buildTimestamp }) {
+  const written = [];
+  for (const catalog of LOCALES) {
+    const prefix = getLocalePrefix(catalog);
+    const feedsDir = path.join(distDir, prefix, "feeds");
+    await rm(feedsDir, { recursive: true, force: true });
+    await mkdir(feedsDir, { recursive: true });
+
+    for (const definition of getFeedDefinitions(items, areas, catalog)) {
+      // Uusimmat ensin, riippumatta lähteen järjestyksestä
+      const feedItems = [...definition.items]
+        .sort((a, b) => b.timestamp.localeCompare(a.timestamp))
+        .slice(0, MAX_ENTRIES);
+      const entries = feedItems.map((item) => toEntry(item, siteUrl, catalog));
+      // Syötteen aika on viimeisimmän muutoksen aika, ei uusimman ilmoituksen
+      const updated = entries.reduce((latest, entry) => (entry.updated > latest ? entry.updated : latest), "");
+
+      const files = {
+        atom: `feeds/${definition.key}.atom.xml`,
+        rss: `feeds/${definition.key}.rss.xml`,
+      };
+
+      const feed = {
+        title: definition.title,
+        description: t(catalog, "FEED_SUMMARY", { count: definition.items.length, max: MAX_ENTRIES }),
+        language: catalog.code,
+        siteUrl: new URL(prefix, siteUrl).href,
+        updated: updated || buildTimestamp,
+        entries,
+      };
+
+      await writeFile(
+        path.join(distDir, prefix, files.atom),
+        renderAtom({ ...feed, url: new URL(prefix + files.atom, siteUrl).href }),
+        "utf-8",
+      );
+      await writeFile(
+        path.join(distDir, prefix, files.rss),
+        renderRss({ ...feed, url: new URL(prefix + files.rss, siteUrl).href }),
+        "utf-8",
+      );
+
+      if (catalog.code === DEFAULT_LOCALE) {
+        written.push({
+          key: definition.key,
+          title: definition.title,
+          area: definition.area || null,
+          count: definition.items.length,
+          ...files,
+        });
+      }
+    }
+  }
+
+  return written;
+}
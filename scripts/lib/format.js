@@ -0,0 +1,46 @@
+import { createHash } from "crypto";
+import { getCatalog, t } from "./i18n.js";
+
+// Ilmoitusten esitysmuotoilu, yhteinen sivuille ja syötteille.
+// Kielikohtaiset funktiot saavat viestiluettelon (scripts/i18n/); oletuksena suomi.
+
+const defaultCatalog = getCatalog();
+
+export function truncateText(text, maxLength) {
+  const s = text === null || text === undefined ? "" : String(text);
+  if (s.length <= maxLength) return s;
+  return s.substring(0, maxLength) + "...";
+}
+
+export function formatDate(isoString, catalog = defaultCatalog) {
+  if (!isoString) return t(catalog, "NO_DATE");
+  const date = new Date(isoString);
+  if (Number.isNaN(date.getTime())) return t(catalog, "INVALID_DATE");
+  return date.toLocaleDateString(catalog.locale, {
+    day: "2-digit",
+    month: "2-digit",
+    year: "numeric",
+  });
+}
+
+export function getCategoryName(category, catalog = defaultCatalog) {
+  return catalog.categories[category] || defaultCatalog.categories[category] || category;
+}
+
+export function getTypeName(type, catalog = defaultCatalog) {
+  return catalog.types[type === "LOST" ? "LOST" : "FOUND"];
+}
+
+export function getStatusName(status, catalog = defaultCatalog) {
+  return catalog.statuses[status] || defaultCatalog.statuses[status] || status;
+}
+
+// Firestoren doc id voi sisältää merkkejä, jotka eivät kelpaa tiedostonimeen. Jos id:tä
+// muutetaan, perään lisätään alkuperäisen id:n tiiviste, jottei "a/b" ja "a_b" saa samaa sivua.
+export function getItemPagePath(item) {
+  const id = String(item.id);
+  const safeId = id.replace(/[^A-Za-z0-9_-]/g, "_");
+  if (safeId === id) return `items/${id}.html`;
+  const hash = createHash("sha1").update(id).digest("hex").slice(0, 8);
+  return `items/${safeId}-${hash}.html`;
+}
@@ -0,0 +1,54 @@
+// Julkaisun varmistukset: epäilyttävää snapshotia ei julkaista vanhan sivun päälle.
+//
+// Build keskeytyy, jos
+//   - ilmoituksia on vähemmän kuin minItems (oletus 1, eli tyhjää sivua ei julkaista)
+//   - ilmoitusten määrä putoaa edelliseen data.json:iin verrattuna yli maxDropPercent %
+//   - validoinnissa hylätään yli maxRejectedPercent % dokumenteista
+// Tarkistukset ohitetaan vain erikseen --force-valitsimella.
+
+export const DEFAULT_GUARD_LIMITS = {
+  minItems: 1,
+  maxDropPercent: 50,
+  maxRejectedPercent: 25,
+};
+
+function percent(part, total) {
+  return total > 0 ? Math.round((part / total) * 1000) / 10 : 0;
+}
+
+// Palauttaa kaikkien tarkistusten tuloksen [{ name, passed, value, limit, message }]
+export function checkPublishGuards({ itemCount, documentCount, rejectedCount, previousCount }, limits = {}) {
+  const { minItems, maxDropPercent, maxRejectedPercent } = { ...DEFAULT_GUARD_LIMITS, ...limits };
+  const results = [];
+
+  results.push({
+    name: "min-items",
+    passed: itemCount >= minItems,
+    value: itemCount,
+    limit: minItems,
+    message: `${itemCount} items, at least ${minItems} required`,
+  });
+
+  // Ilman edellistä buildia pudotusta ei voi arvioida
+  if (previousCount) {
+    const drop = percent(Math.max(previousCount - itemCount, 0), previousCount);
+    results.push({
+      name: "max-drop",
+      passed: drop <= maxDropPercent,
+      value: drop,
+      limit: maxDropPercent,
+      message: `item count dropped ${drop}% (${previousCount} → ${itemCount}), at most ${maxDropPercent}% allowed`,
+    });
+  }
+
+  const rejected = percent(rejectedCount, documentCount);
+  results.push({
+    name: "max-rejected",
+    passed: rejected <= maxRejectedPercent,
+    value: rejected,
+    limit: maxRejectedPercent,
+    message: `${rejectedCount}/${documentCount} documents (${rejected}%) failed validation, at most ${maxRejectedPercent}% allowed`,
+  });
+
+  return results;
+}
@@ -0,0 +1,189 @@
+import { readFile, writeFile, mkdir } from "fs/promises";
+import { existsSync } from "fs";
+import path from "path";
+
+// Tilastosivun historia: jokaisen päivän tiivistelmä ja kevyt kirjanpito ilmoituksista.
+// Kirjanpidosta lasketaan viikoittaiset ilmoitusmäärät ja ratkaisuajat myös ilmoituksille,
+// jotka on jo poistettu. Tiedosto säilyy buildista toiseen välimuistissa (.cache/history/).
+//
+// Ratkaisupäivä tiedetään vain, jos ilmoitus on nähty avoimena ennen ratkaisua; valmiiksi
+// ratkaistuina löytyneet lasketaan ratkaisuosuuteen mutta eivät ratkaisuaikoihin. Listalta
+// poistuneet saavat poistopäivän (removedOn), joten ratkaisematta poistettu ei jää avoimeksi.
+
+export const HISTORY_VERSION = 1;
+
+// Päiväkohtaisia tietueita ja ilmoituksia säilytetään kaksi vuotta
+const MAX_DAYS = 730;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const TIME_ZONE = "Europe/Helsinki";
+// en-CA muotoilee päivämäärän muotoon YYYY-MM-DD
+const dateFormat = new Intl.DateTimeFormat("en-CA", {
+  timeZone: TIME_ZONE,
+  year: "numeric",
+  month: "2-digit",
+  day: "2-digit",
+});
+
+// Palauttaa null virheelliselle aikaleimalle
+export function getHistoryDate(isoString) {
+  const date = new Date(isoString);
+  if (!isoString || Number.isNaN(date.getTime())) return null;
+  return dateFormat.format(date);
+}
+
+function addDays(day, count) {
+  return new Date(Date.parse(`${day}T00:00:00Z`) + count * DAY_MS).toISOString().slice(0, 10);
+}
+
+function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+}
+
+function createHistory() {
+  return { version: HISTORY_VERSION, days: [], items: {} };
+}
+
+// Puuttuva tai rikkinäinen historia aloitetaan alusta; build ei kaadu sen takia
+export async function loadHistory(filePath) {
+  if (!filePath || !existsSync(filePath)) return createHistory();
+
+  try {
+    const data = JSON.parse(await readFile(filePath, "utf8"));
+    if (data.version !== HISTORY_VERSION) throw new Error(`unsupported version ${data.version}`);
+    if (!Array.isArray(data.days) || typeof data.items !== "object" || data.items === null) {
+      throw new Error("days or items missing");
+    }
+    return data;
+  } catch (error) {
+    console.warn(`⚠️  Ignoring history ${filePath}: ${error.message}`);
+    return createHistory();
+  }
+}
+
+export async function saveHistory(filePath, history) {
+  await mkdir(path.dirname(filePath), { recursive: true });
+  await writeFile(filePath, JSON.stringify(history), "utf-8");
+}
+
+// Palauttaa uuden historian, jossa tämän päivän tietue on korvattu buildin tilanteella.
+// Tunnin välein ajettavasta buildista jää näin yksi tietue päivää kohden.
+export function updateHistory(history, items, { buildId, buildTimestamp, resolvedStatuses = ["RESOLVED"] }) {
+  const today = getHistoryDate(buildTimestamp);
+  const isResolved = (item) => resolvedStatuses.includes(item.status);
+  const ledger = { ...history.items };
+
+  for (const item of items) {
+    const previous = ledger[item.id];
+    const resolved = isResolved(item);
+
+    let resolvedOn = previous ? previous.resolvedOn : null;
+    if (!resolved) resolvedOn = null;
+    else if (previous && !previous.resolved) resolvedOn = today;
+
+    ledger[item.id] = {
+      type: item.type,
+      category: item.category,
+      area: item.area,
+      reportedOn: (previous && previous.reportedOn) || getHistoryDate(item.timestamp) || today,
+      resolved,
+      resolvedOn,
+      removedOn: null,
+    };
+  }
+
+  const currentIds = new Set(items.map((item) => item.id));
+  for (const [id, entry] of Object.entries(ledger)) {
+    if (!currentIds.has(id) && !entry.removedOn) ledger[id] = { ...entry, removedOn: today };
+  }
+
+  const record = {
+    date: today,
+    buildId,
+    total: items.length,
+    open: items.filter((item) => !isResolved(item)).length,
+    resolved: items.filter(isResolved).length,
+    found: items.filter((item) => item.type === "FOUND").length,
+    lost: items.filter((item) => item.type === "LOST").length,
+  };
+
+  const cutoff = addDays(today, -MAX_DAYS);
+  const days = [...history.days.filter((day) => day.date !== today), record]
+    .filter((day) => day.date > cutoff)
+    .sort((a, b) => a.date.localeCompare(b.date));
+  // Vanhat ilmoitukset pudotetaan, kun ne eivät ole enää listalla
+  const keptItems = Object.fromEntries(
+    Object.entries(ledger).filter(([id, entry]) => entry.reportedOn > cutoff || currentIds.has(id)),
+  );
+
+  return { version: HISTORY_VERSION, days, items: keptItems };
+}
+
+// ISO-viikon maanantai
+function getWeekStart(day) {
+  const weekday = (new Date(`${day}T00:00:00Z`).getUTCDay() + 6) % 7;
+  return addDays(day, -weekday);
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function countBy(entries, key) {
+  const counts = new Map();
+  for (const entry of entries) {
+    counts.set(entry[key], (counts.get(entry[key]) || 0) + 1);
+  }
+  return counts;
+}
+
+// Tilastosivun luvut historiasta. today on viimeisen buildin päivä (YYYY-MM-DD).
+export function getStatistics(history, { today, weeks = 12, topAreas = 10 }) {
+  const entries = Object.values(history.items);
+
+  const firstWeek = addDays(getWeekStart(today), -7 * (weeks - 1));
+  const weekly = Array.from({ length: weeks }, (_, index) => ({
+    start: addDays(firstWeek, 7 * index),
+    FOUND: 0,
+    LOST: 0,
+  }));
+  for (const entry of entries) {
+    if (entry.reportedOn < firstWeek) continue;
+    const week = weekly[Math.floor(daysBetween(firstWeek, entry.reportedOn) / 7)];
+    if (week && week[entry.type] !== undefined) week[entry.type]++;
+  }
+
+  const categories = [...countBy(entries, "category").keys()].map((category) => {
+    const inCategory = entries.filter((entry) => entry.category === category);
+    const durations = inCategory
+      .filter((entry) => entry.resolved && entry.resolvedOn)
+      .map((entry) => Math.max(0, daysBetween(entry.reportedOn, entry.resolvedOn)));
+    const resolved = inCategory.filter((entry) => entry.resolved).length;
+    return {
+      category,
+      total: inCategory.length,
+      resolved,
+      resolutionRate: resolved / inCategory.length,
+      medianDays: median(durations),
+      timedCount: durations.length,
+    };
+  });
+  categories.sort((a, b) => b.total - a.total || a.category.localeCompare(b.category));
+
+  const areas = [...countBy(entries, "area")]
+    .map(([area, total]) => ({ area, total }))
+    .sort((a, b) => b.total - a.total || a.area.localeCompare(b.area, "fi"))
+    .slice(0, topAreas);
+
+  return {
+    since: history.days.length > 0 ? history.days[0].date : today,
+    tracked: entries.length,
+    weekly,
+    days: history.days,
+    categories,
+    areas,
+  };
+}
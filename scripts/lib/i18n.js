@@ -0,0 +1,64 @@
+import fi from "../i18n/fi.js";
+import sv from "../i18n/sv.js";
+import en from "../i18n/en.js";
+
+// Kieliversiot: oletuskieli dist/-juureen, muut omiin hakemistoihinsa (dist/sv/, dist/en/).
+// Viestiluettelot ovat scripts/i18n/-hakemistossa.
+
+export const DEFAULT_LOCALE = fi.code;
+export const LOCALES = [fi, sv, en];
+
+export function getCatalog(code = DEFAULT_LOCALE) {
+  const catalog = LOCALES.find((locale) => locale.code === code);
+  if (!catalog) {
+    throw new Error(`Unknown locale "${code}" (expected one of: ${LOCALES.map((l) => l.code).join(", ")})`);
+  }
+  return catalog;
+}
+
+function setLabels(group, labels) {
+  for (const [key, byLocale] of Object.entries(labels)) {
+    for (const [code, label] of Object.entries(byLocale)) {
+      getCatalog(code)[group][key] = label;
+    }
+  }
+}
+
+// lostfound.config-tiedoston categoryLabels: { KATEGORIA: { fi: "...", sv: "..." } }.
+// Täydentää viestiluetteloita, joten kutsutaan kerran ennen renderöintiä.
+export function setCategoryLabels(labels) {
+  setLabels("categories", labels);
+}
+
+// statusLabels samassa muodossa: { TILA: { fi: "...", sv: "..." } }
+export function setStatusLabels(labels) {
+  setLabels("statuses", labels);
+}
+
+// Polku kieliversion juureen sivuston juuresta, esim. "" tai "sv/"
+export function getLocalePrefix(catalog) {
+  return catalog.code === DEFAULT_LOCALE ? "" : `${catalog.code}/`;
+}
+
+function getMessage(catalog, key) {
+  const message = catalog.messages[key] ?? fi.messages[key];
+  if (message === undefined) throw new Error(`Unknown message "${key}"`);
+  return message;
+}
+
+export function t(catalog, key, vars = {}) {
+  return getMessage(catalog, key).replace(/\{(\w+)\}/g, (match, name) =>
+    name in vars ? String(vars[name]) : match,
+  );
+}
+
+// Kaikki viestit templateille muodossa T_<AVAIN>; kääntämättömät tulevat oletuskielestä
+export function getTemplateMessages(catalog) {
+  return Object.fromEntries(
+    Object.keys(fi.messages).map((key) => [`T_${key}`, getMessage(catalog, key)]),
+  );
+}
+
+export function getClientMessages(catalog) {
+  return { ...fi.client, ...catalog.client };
+}
@@ -0,0 +1,183 @@
+import { createHash } from "crypto";
+import { readFile, writeFile, mkdir, copyFile, rm } from "fs/promises";
+import { existsSync } from "fs";
+import path from "path";
+import sharp from "sharp";
+
+// Kuvien peilaus dist/img/-hakemistoon.
+//
+// Jokainen kuva ladataan kerran ja tallennetaan välimuistiin (cacheDir), jonka index.json
+// pitää kirjaa URL:ista, ETag/Last-Modified-otsakkeista ja muunnetuista tiedostoista.
+// Seuraavissa buildeissa kuva haetaan ehdollisesti; 304-vastauksella käytetään välimuistia.
+// Jos lataus epäonnistuu, käytetään vanhaa kopiota, ja ilman sitä ilmoitus saa placeholderin.
+
+const SIZES = { thumb: 480, full: 1600 };
+const MAX_BYTES = 15 * 1024 * 1024;
+const CONCURRENCY = 4;
+const INDEX_FILE = "index.json";
+
+function hash(value) {
+  return createHash("sha1").update(value).digest("hex");
+}
+
+async function loadIndex(cacheDir) {
+  try {
+    return JSON.parse(await readFile(path.join(cacheDir, INDEX_FILE), "utf8"));
+  } catch {
+    return {};
+  }
+}
+
+function hasCachedFiles(entry, cacheDir) {
+  return (
+    entry &&
+    existsSync(path.join(cacheDir, `${entry.file}.thumb.jpg`)) &&
+    existsSync(path.join(cacheDir, `${entry.file}.full.jpg`))
+  );
+}
+
+async function download(url, cached, timeout) {
+  const headers = {};
+  if (cached?.etag) headers["If-None-Match"] = cached.etag;
+  if (cached?.lastModified) headers["If-Modified-Since"] = cached.lastModified;
+
+  const response = await fetch(url, { headers, signal: AbortSignal.timeout(timeout) });
+  if (response.status === 304 && cached) return { notModified: true };
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+  const contentType = response.headers.get("content-type") || "";
+  if (!contentType.startsWith("image/")) {
+    throw new Error(`not an image (${contentType || "no content-type"})`);
+  }
+  if (Number(response.headers.get("content-length")) > MAX_BYTES) {
+    throw new Error(`larger than ${MAX_BYTES} bytes`);
+  }
+
+  const buffer = Buffer.from(await response.arrayBuffer());
+  if (buffer.length > MAX_BYTES) throw new Error(`larger than ${MAX_BYTES} bytes`);
+
+  return {
+    buffer,
+    etag: response.headers.get("etag"),
+    lastModified: response.headers.get("last-modified"),
+  };
+}
+
+// Uudelleenpakkaus poistaa myös EXIF-tiedot (mm. GPS-sijainnin) julkaistavista kuvista
+async function resize(buffer, size) {
+  return sharp(buffer, { failOn: "error" })
+    .rotate()
+    .resize({ width: size, height: size, fit: "inside", withoutEnlargement: true })
+    .flatten({ background: "#ffffff" })
+    .jpeg({ quality: 82, mozjpeg: true })
+    .toBuffer({ resolveWithObject: true });
+}
+
+async function processImage(url, buffer, cacheDir) {
+  // Tiedostonimi vaihtuu sisällön mukana, jotta selainten välimuistit eivät näytä vanhaa kuvaa
+  const file = `${hash(url).slice(0, 16)}-${hash(buffer).slice(0, 8)}`;
+  const full = await resize(buffer, SIZES.full);
+  const thumb = await resize(buffer, SIZES.thumb);
+
+  await writeFile(path.join(cacheDir, `${file}.full.jpg`), full.data);
+  await writeFile(path.join(cacheDir, `${file}.thumb.jpg`), thumb.data);
+
+  return {
+    file,
+    width: full.info.width,
+    height: full.info.height,
+    bytes: full.info.size,
+    thumbWidth: thumb.info.width,
+    thumbHeight: thumb.info.height,
+  };
+}
+
+async function mirrorImage(url, cached, { cacheDir, timeout }) {
+  const usable = hasCachedFiles(cached, cacheDir) ? cached : null;
+
+  try {
+    const result = await download(url, usable, timeout);
+    if (result.notModified) return { entry: usable, outcome: "unchanged" };
+
+    const processed = await processImage(url, result.buffer, cacheDir);
+    if (usable && usable.file !== processed.file) {
+      await removeCachedFiles(usable, cacheDir);
+    }
+
+    return {
+      entry: { ...processed, etag: result.etag, lastModified: result.lastModified },
+      outcome: "downloaded",
+    };
+  } catch (error) {
+    const reason = error.cause?.code || error.message;
+    if (usable) return { entry: usable, outcome: "stale", warning: `${url}: ${reason}, using cached copy` };
+    return { entry: null, outcome: "failed", warning: `${url}: ${reason}` };
+  }
+}
+
+async function removeCachedFiles(entry, cacheDir) {
+  await rm(path.join(cacheDir, `${entry.file}.full.jpg`), { force: true });
+  await rm(path.join(cacheDir, `${entry.file}.thumb.jpg`), { force: true });
+}
+
+async function runWithConcurrency(values, limit, worker) {
+  const queue = [...values];
+  const runners = Array.from({ length: Math.min(limit, queue.length) }, async () => {
+    while (queue.length > 0) {
+      await worker(queue.shift());
+    }
+  });
+  await Promise.all(runners);
+}
+
+// Palauttaa Mapin kuvan URL → { thumb, full, width, height, ... } tai null, jos kuvaa ei saatu
+export async function mirrorImages(items, { distDir, cacheDir, timeout = 15000 }) {
+  await mkdir(cacheDir, { recursive: true });
+  const index = await loadIndex(cacheDir);
+
+  const imgDir = path.join(distDir, "img");
+  await rm(imgDir, { recursive: true, force: true });
+  await mkdir(path.join(imgDir, "thumb"), { recursive: true });
+  await mkdir(path.join(imgDir, "full"), { recursive: true });
+
+  const urls = Array.from(new Set(items.map((item) => item.imageUrl).filter(Boolean)));
+  const images = new Map();
+  const nextIndex = {};
+  const warnings = [];
+  const stats = { downloaded: 0, unchanged: 0, stale: 0, failed: 0 };
+
+  await runWithConcurrency(urls, CONCURRENCY, async (url) => {
+    const { entry, outcome, warning } = await mirrorImage(url, index[url], { cacheDir, timeout });
+    stats[outcome]++;
+    if (warning) warnings.push(warning);
+
+    if (!entry) {
+      images.set(url, null);
+      return;
+    }
+
+    nextIndex[url] = entry;
+    await copyFile(path.join(cacheDir, `${entry.file}.full.jpg`), path.join(imgDir, "full", `${entry.file}.jpg`));
+    await copyFile(path.join(cacheDir, `${entry.file}.thumb.jpg`), path.join(imgDir, "thumb", `${entry.file}.jpg`));
+
+    images.set(url, {
+      thumb: `img/thumb/${entry.file}.jpg`,
+      full: `img/full/${entry.file}.jpg`,
+      width: entry.width,
+      height: entry.height,
+      bytes: entry.bytes,
+      thumbWidth: entry.thumbWidth,
+      thumbHeight: entry.thumbHeight,
+    });
+  });
+
+  // Välimuistiin jäävät vain tässä buildissa käytetyt kuvat
+  for (const [url, entry] of Object.entries(index)) {
+    if (!nextIndex[url] || nextIndex[url].file !== entry.file) {
+      await removeCachedFiles(entry, cacheDir);
+    }
+  }
+  await writeFile(path.join(cacheDir, INDEX_FILE), JSON.stringify(nextIndex, null, 2), "utf-8");
+
+  return { images, warnings, stats };
+}
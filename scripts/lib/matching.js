@@ -0,0 +1,120 @@
+import { normalizeText, tokenize, diceCoefficient } from "./text.js";
+
+// Mahdolliset osumat kadonneiden ja löytyneiden ilmoitusten välillä.
+//
+// Jokainen avoin LOST/FOUND-pari pisteytetään (0–1):
+//   kategoria   0.30  sama kategoria (OTHER tai muu fallbackCategory vain 0.10)
+//   alue        0.25  sama alue, 0.15 naapurialue (nearbyAreas, ks. lostfound.config)
+//   aika        0.15  löytö kadotuksen jälkeen; mitä lähempänä, sitä enemmän
+//   teksti      0.30  otsikon ja kuvauksen samankaltaisuus (text.js)
+// Pari hylätään kokonaan, jos löytö on ennen kadotusta tai liian kaukana siitä, tai jos
+// teksteillä ei ole yhtään yhteistä sanaa: pelkät kategoria, alue ja aika (0.70) riittäisivät
+// muuten osumaksi kaikille saman alueen samanlaisille esineille.
+
+const WEIGHTS = { category: 0.3, area: 0.25, nearbyArea: 0.15, time: 0.15, text: 0.3 };
+const OTHER_CATEGORY_SCORE = 0.1;
+const UNKNOWN_AREA_SCORE = 0.05;
+
+const DAY = 24 * 60 * 60 * 1000;
+// Löytö ilmoitetaan joskus ennen kadotusilmoitusta, joten pieni jousto taaksepäin
+const EARLIEST_FOUND = 2 * DAY;
+const MATCH_WINDOW = 60 * DAY;
+
+export const MIN_SCORE = 0.5;
+export const MAX_MATCHES = 3;
+
+// Naapurialueet toimivat molempiin suuntiin; muille alueille annetaan vain saman alueen pisteet
+function buildNeighbours(table) {
+  const neighbours = new Map();
+  const link = (a, b) => {
+    if (!neighbours.has(a)) neighbours.set(a, new Set());
+    neighbours.get(a).add(b);
+  };
+  for (const [area, nearby] of Object.entries(table)) {
+    for (const other of nearby) {
+      link(normalizeText(area), normalizeText(other));
+      link(normalizeText(other), normalizeText(area));
+    }
+  }
+  return neighbours;
+}
+
+function prepare(item) {
+  return {
+    item,
+    area: normalizeText(item.area),
+    time: new Date(item.timestamp).getTime(),
+    tokens: new Set(tokenize(`${item.title} ${item.description || ""}`)),
+  };
+}
+
+function scorePair(lost, found, { neighbours, fallbackCategory, unknownArea }) {
+  const delta = found.time - lost.time;
+  if (delta < -EARLIEST_FOUND || delta > MATCH_WINDOW) return null;
+
+  let score = 0;
+  const reasons = [];
+
+  if (lost.item.category === found.item.category) {
+    score += lost.item.category === fallbackCategory ? OTHER_CATEGORY_SCORE : WEIGHTS.category;
+    reasons.push("category");
+  }
+
+  if (lost.area === found.area && lost.area !== unknownArea) {
+    score += WEIGHTS.area;
+    reasons.push("area");
+  } else if (neighbours.get(lost.area)?.has(found.area)) {
+    score += WEIGHTS.nearbyArea;
+    reasons.push("nearby-area");
+  } else if (lost.area === unknownArea || found.area === unknownArea) {
+    score += UNKNOWN_AREA_SCORE;
+  }
+
+  score += WEIGHTS.time * (1 - Math.max(delta, 0) / MATCH_WINDOW);
+  reasons.push("time");
+
+  const similarity = diceCoefficient(lost.tokens, found.tokens);
+  if (similarity === 0) return null;
+  score += WEIGHTS.text * similarity;
+  reasons.push("text");
+
+  return { score: Math.round(score * 100) / 100, reasons };
+}
+
+// Palauttaa Mapin id → [{ id, score, reasons }], parhaat ensin; ratkaistut ilmoitukset ohitetaan
+export function findMatches(
+  items,
+  {
+    minScore = MIN_SCORE,
+    maxMatches = MAX_MATCHES,
+    nearbyAreas = {},
+    fallbackCategory = "OTHER",
+    // normalize.js antaa tämän alueen ilmoituksille, joilta alue puuttuu
+    fallbackArea = "Tuntematon",
+    resolvedStatuses = ["RESOLVED"],
+  } = {},
+) {
+  const neighbours = buildNeighbours(nearbyAreas);
+  const unknownArea = normalizeText(fallbackArea);
+  const open = items.filter((item) => !resolvedStatuses.includes(item.status)).map(prepare);
+  const lostItems = open.filter((entry) => entry.item.type === "LOST");
+  const foundItems = open.filter((entry) => entry.item.type === "FOUND");
+
+  const candidates = new Map(open.map((entry) => [entry.item.id, []]));
+  for (const lost of lostItems) {
+    for (const found of foundItems) {
+      const result = scorePair(lost, found, { neighbours, fallbackCategory, unknownArea });
+      if (!result || result.score < minScore) continue;
+
+      candidates.get(lost.item.id).push({ id: found.item.id, ...result });
+      candidates.get(found.item.id).push({ id: lost.item.id, ...result });
+    }
+  }
+
+  const matches = new Map();
+  for (const [id, list] of candidates) {
+    if (list.length === 0) continue;
+    matches.set(id, list.sort((a, b) => b.score - a.score).slice(0, maxMatches));
+  }
+  return matches;
+}
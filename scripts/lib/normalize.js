@@ -0,0 +1,192 @@
+// Firestore-dokumenttien normalisointi ja validointi ennen julkaisua.
+//
+// Ilmoitustyyppi (FOUND/LOST) päätellään tässä järjestyksessä:
+//   1. `type`- tai `reportType`-kenttä (FOUND/LOST, myös LÖYTYNYT/LÖYDETTY/KADONNUT)
+//   2. vanha data, jossa tyyppi on tallennettu `category`-kenttään (LOST/FOUND);
+//      kategoriaksi tulee tällöin fallbackCategory (oletus OTHER)
+//   3. muuten FOUND, ja dokumentille kirjataan varoitus
+//
+// Korjattavat puutteet (otsikko, alue, kategoria, linkit) korvataan oletusarvolla ja
+// kirjataan varoituksiksi. Dokumentti hylätään, jos id, tila tai aikaleima puuttuu
+// tai on virheellinen. Linkit ja kuvaosoitteet tarkistetaan urls.js:n sanitizeUrl-funktiolla.
+
+import { sanitizeLink, sanitizeUrl } from "./urls.js";
+
+export const ITEM_TYPES = ["FOUND", "LOST"];
+
+// Oletuskategoriat; käyttöönotto voi vaihtaa ne lostfound.config-tiedostossa
+export const CATEGORIES = [
+  "ELECTRONICS",
+  "CLOTHING",
+  "DOCUMENTS",
+  "KEYS",
+  "WALLET",
+  "JEWELRY",
+  "BAG",
+  "OTHER",
+];
+
+const TYPE_ALIASES = {
+  FOUND: "FOUND",
+  LÖYTYNYT: "FOUND",
+  LÖYDETTY: "FOUND",
+  LOST: "LOST",
+  KADONNUT: "LOST",
+};
+
+// Yli vuorokauden tulevaisuuteen osoittava aikaleima on todennäköisesti väärä
+const MAX_CLOCK_SKEW_MS = 24 * 60 * 60 * 1000;
+
+// imageUrl1 on joko täysi URL tai polku Supabasen lost-items-bucketissa
+export function resolveImageUrl(imageUrl1, supabaseUrl) {
+  if (!imageUrl1) return null;
+  if (String(imageUrl1).includes("http")) return imageUrl1;
+
+  const fileName = String(imageUrl1).replace("lost-items/", "");
+  return `${supabaseUrl}/storage/v1/object/public/lost-items/${fileName}`;
+}
+
+function cleanString(value) {
+  if (value === null || value === undefined) return "";
+  return String(value).trim();
+}
+
+function normalizeType(data, warn) {
+  for (const field of ["type", "reportType"]) {
+    const raw = cleanString(data[field]).toUpperCase();
+    if (!raw) continue;
+    if (TYPE_ALIASES[raw]) return TYPE_ALIASES[raw];
+    warn(`unknown ${field} "${data[field]}"`);
+  }
+
+  const category = cleanString(data.category).toUpperCase();
+  if (ITEM_TYPES.includes(category)) {
+    warn(`type taken from legacy category "${category}"`);
+    return category;
+  }
+
+  warn("type missing, defaulted to FOUND");
+  return "FOUND";
+}
+
+function normalizeCategory(data, warn, { categories, fallbackCategory }) {
+  const category = cleanString(data.category).toUpperCase();
+  if (categories.includes(category)) return category;
+
+  // Vanhan datan LOST/FOUND-kategoria on jo käsitelty tyyppinä
+  if (!ITEM_TYPES.includes(category)) {
+    warn(
+      category
+        ? `unknown category "${data.category}", using ${fallbackCategory}`
+        : `category missing, using ${fallbackCategory}`,
+    );
+  }
+  return fallbackCategory;
+}
+
+function normalizeLink(data, field, warn) {
+  const value = cleanString(data[field]);
+  if (!value) return null;
+
+  const { url, reason } = sanitizeLink(field, value);
+  if (!url) warn(`invalid ${field} dropped: ${reason}`);
+  return url;
+}
+
+export function normalizeDocument(
+  doc,
+  {
+    statuses,
+    supabaseUrl,
+    categories = CATEGORIES,
+    fallbackCategory = "OTHER",
+    fallbackTitle = "Ei nimeä",
+    fallbackArea = "Tuntematon",
+    now = new Date(),
+  },
+) {
+  const data = doc.data || {};
+  const warnings = [];
+  const warn = (message) => warnings.push(message);
+  const reject = (error) => ({ id: doc.id, item: null, error, warnings });
+
+  if (!doc.id) return reject("missing document id");
+
+  const status = cleanString(data.status).toUpperCase();
+  if (!statuses.includes(status)) {
+    return reject(status ? `status "${data.status}" is not published` : "status missing");
+  }
+
+  if (!(data.timestamp instanceof Date) || Number.isNaN(data.timestamp.getTime())) {
+    return reject("timestamp missing or invalid");
+  }
+  if (data.timestamp.getTime() - now.getTime() > MAX_CLOCK_SKEW_MS) {
+    warn(`timestamp ${data.timestamp.toISOString()} is in the future`);
+  }
+
+  let title = cleanString(data.title);
+  if (!title) {
+    warn("title missing");
+    title = fallbackTitle;
+  }
+
+  let area = cleanString(data.area);
+  if (!area) {
+    warn("area missing");
+    area = fallbackArea;
+  }
+
+  const type = normalizeType(data, warn);
+  const category = normalizeCategory(data, warn, { categories, fallbackCategory });
+
+  let imageUrl = null;
+  if (data.imageUrl1) {
+    if (!String(data.imageUrl1).includes("http") && !supabaseUrl) {
+      warn("imageUrl1 is a storage path but SUPABASE_URL is not set, image dropped");
+    } else {
+      const { url, reason } = sanitizeUrl(resolveImageUrl(data.imageUrl1, supabaseUrl));
+      if (!url) warn(`invalid imageUrl1 dropped: ${reason}`);
+      imageUrl = url;
+    }
+  }
+
+  return {
+    id: doc.id,
+    error: null,
+    warnings,
+    item: {
+      id: doc.id,
+      title,
+      description: cleanString(data.description),
+      area,
+      category,
+      type,
+      status,
+      timestamp: data.timestamp.toISOString(),
+      imageUrl,
+      facebookLink: normalizeLink(data, "facebookLink", warn),
+      instagramLink: normalizeLink(data, "instagramLink", warn),
+    },
+  };
+}
+
+export function normalizeDocuments(docs, options) {
+  const items = [];
+  const rejected = [];
+  const repaired = [];
+
+  for (const doc of docs) {
+    const result = normalizeDocument(doc, options);
+    if (result.error) {
+      rejected.push({ id: result.id, error: result.error, warnings: result.warnings });
+      continue;
+    }
+
+    items.push(result.item);
+    if (result.warnings.length > 0) {
+      repaired.push({ id: result.id, warnings: result.warnings });
+    }
+  }
+
+  return { items, rejected, repaired };
+}
@@ -0,0 +1,105 @@
+import { readFile, writeFile, mkdir } from "fs/promises";
+import path from "path";
+import sharp from "sharp";
+import { loadTemplate, rawJson } from "./template.js";
+import { LOCALES, getLocalePrefix, t } from "./i18n.js";
+
+// Asennettava sovellus: web app manifest jokaiselle kieliversiolle, PNG-ikonit
+// public/icons/icon.svg:stä ja service worker (templates/sw.js) sivuston juureen.
+//
+// Workerin välimuistit nimetään build id:n mukaan, joten jokainen julkaisu vaihtaa ne kokonaan.
+
+export const THEME_COLOR = "#667eea";
+const BACKGROUND_COLOR = "#f8f9fa";
+
+const ICON_SIZES = [192, 512];
+const APPLE_TOUCH_ICON_SIZE = 180;
+
+// Pikkukuvia välimuistissa enintään (n. 30 kt kappale)
+const MAX_THUMBNAILS = 200;
+
+async function writeIcons(iconSource, distDir) {
+  const iconsDir = path.join(distDir, "icons");
+  await mkdir(iconsDir, { recursive: true });
+  const svg = await readFile(iconSource);
+
+  const sizes = [...ICON_SIZES, APPLE_TOUCH_ICON_SIZE];
+  await Promise.all(
+    sizes.map((size) =>
+      sharp(svg, { density: 300 })
+        .resize(size, size)
+        .png()
+        .toFile(path.join(iconsDir, `icon-${size}.png`)),
+    ),
+  );
+
+  // Ikonin tausta ulottuu reunoihin ja kuvio pysyy turva-alueella, joten sama kuva kelpaa maskable-ikoniksi
+  return ICON_SIZES.flatMap((size) =>
+    ["any", "maskable"].map((purpose) => ({
+      src: `icons/icon-${size}.png`,
+      sizes: `${size}x${size}`,
+      type: "image/png",
+      purpose,
+    })),
+  );
+}
+
+function renderManifest(catalog, icons) {
+  // Polut ovat suhteessa manifestiin, joka on kieliversion juuressa
+  const root = getLocalePrefix(catalog) ? "../" : "";
+  return {
+    id: "./",
+    name: t(catalog, "SITE_TITLE"),
+    short_name: "Lost&Found",
+    description: t(catalog, "SITE_SUBTITLE"),
+    lang: catalog.code,
+    dir: "ltr",
+    start_url: "./",
+    scope: "./",
+    display: "standalone",
+    background_color: BACKGROUND_COLOR,
+    theme_color: THEME_COLOR,
+    icons: icons.map((icon) => ({ ...icon, src: root + icon.src })),
+  };
+}
+
+// Sivuston juuresta; asennuksessa välimuistiin tallennettava sivurunko
+function getPrecacheUrls() {
+  return [
+    ...LOCALES.flatMap((catalog) => [
+      `${getLocalePrefix(catalog)}index.html`,
+      `${getLocalePrefix(catalog)}manifest.webmanifest`,
+    ]),
+    "css/styles.css",
+    "js/app.js",
+    "js/pwa.js",
+    "icons/icon.svg",
+    ...ICON_SIZES.map((size) => `icons/icon-${size}.png`),
+  ];
+}
+
+export async function writePwaFiles({ distDir, templatesDir, iconSource, buildId }) {
+  const icons = await writeIcons(iconSource, distDir);
+
+  for (const catalog of LOCALES) {
+    const localeDir = path.join(distDir, getLocalePrefix(catalog));
+    await mkdir(localeDir, { recursive: true });
+    await writeFile(
+      path.join(localeDir, "manifest.webmanifest"),
+      JSON.stringify(renderManifest(catalog, icons), null, 2),
+      "utf-8",
+    );
+  }
+
+  const renderWorker = await loadTemplate(templatesDir, "sw.js");
+  await writeFile(
+    path.join(distDir, "sw.js"),
+    renderWorker({
+      CACHE_VERSION: buildId,
+      PRECACHE_URLS: rawJson(getPrecacheUrls()),
+      MAX_THUMBNAILS,
+      LOCALE_PREFIXES: rawJson(LOCALES.map(getLocalePrefix).filter(Boolean)),
+    }),
+    "utf-8",
+  );
+}
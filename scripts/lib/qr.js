@@ -0,0 +1,376 @@
+import { escapeXml } from "./feeds.js";
+
+// QR-koodit julisteisiin ilman verkkopalvelua tai riippuvuuksia (ISO/IEC 18004).
+// Vain tavutila (UTF-8), mikä riittää osoitteille. Versio valitaan pienimmäksi, johon teksti
+// mahtuu, ja maski pienimmän sakkopisteen mukaan kuten standardissa.
+
+const ERROR_CORRECTION = {
+  // formatBits: virheenkorjaustason koodi formaattitiedossa
+  L: { formatBits: 1, index: 0 },
+  M: { formatBits: 0, index: 1 },
+  Q: { formatBits: 3, index: 2 },
+  H: { formatBits: 2, index: 3 },
+};
+
+// Virheenkorjaussanoja lohkoa kohden ja lohkojen määrä, versiot 1–40 (indeksi 0 on käyttämätön)
+const ECC_CODEWORDS_PER_BLOCK = [
+  [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+  [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+];
+const ERROR_CORRECTION_BLOCKS = [
+  [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+  [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+  [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81],
+];
+
+const MIN_VERSION = 1;
+const MAX_VERSION = 40;
+const BYTE_MODE = 0b0100;
+const PAD_BYTES = [0xec, 0x11];
+
+// Maski määrää, mitkä datamoduulit käännetään (x = sarake, y = rivi)
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+];
+
+function getBit(value, index) {
+  return ((value >>> index) & 1) !== 0;
+}
+
+// Moduulit, joihin mahtuu dataa ja virheenkorjausta, kun kiinteät kuviot on vähennetty
+function getRawDataModules(version) {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const alignCount = Math.floor(version / 7) + 2;
+    result -= (25 * alignCount - 10) * alignCount - 55;
+    if (version >= 7) result -= 36;
+  }
+  return result;
+}
+
+function getDataCodewords(version, level) {
+  return (
+    Math.floor(getRawDataModules(version) / 8) -
+    ECC_CODEWORDS_PER_BLOCK[level.index][version] * ERROR_CORRECTION_BLOCKS[level.index][version]
+  );
+}
+
+function getCountBits(version) {
+  return version <= 9 ? 8 : 16;
+}
+
+function getAlignmentPositions(version) {
+  if (version === 1) return [];
+  const size = version * 4 + 17;
+  const count = Math.floor(version / 7) + 2;
+  const step = Math.floor((version * 8 + count * 3 + 5) / (count * 4 - 4)) * 2;
+  const positions = [6];
+  for (let position = size - 7; positions.length < count; position -= step) {
+    positions.splice(1, 0, position);
+  }
+  return positions;
+}
+
+// Reed–Solomon kunnassa GF(2^8), redusoiva polynomi x^8 + x^4 + x^3 + x^2 + 1
+function gfMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+function getGeneratorPolynomial(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < result.length) result[j] ^= result[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+}
+
+function getErrorCorrection(data, generator) {
+  const result = new Array(generator.length).fill(0);
+  for (const byte of data) {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    generator.forEach((coefficient, index) => {
+      result[index] ^= gfMultiply(coefficient, factor);
+    });
+  }
+  return result;
+}
+
+// Tila, merkkimäärä, data, loppumerkki ja täytetavut
+function encodeData(bytes, version, level) {
+  const bits = [];
+  const append = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push(getBit(value, i) ? 1 : 0);
+  };
+
+  append(BYTE_MODE, 4);
+  append(bytes.length, getCountBits(version));
+  bytes.forEach((byte) => append(byte, 8));
+
+  const capacity = getDataCodewords(version, level) * 8;
+  append(0, Math.min(4, capacity - bits.length));
+  append(0, (8 - (bits.length % 8)) % 8);
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  }
+  for (let i = 0; codewords.length < capacity / 8; i++) {
+    codewords.push(PAD_BYTES[i % 2]);
+  }
+  return codewords;
+}
+
+// Data jaetaan lohkoihin, jokaiselle lasketaan virheenkorjaus ja lohkot lomitetaan tavu kerrallaan
+function addErrorCorrection(data, version, level) {
+  const blockCount = ERROR_CORRECTION_BLOCKS[level.index][version];
+  const eccLength = ECC_CODEWORDS_PER_BLOCK[level.index][version];
+  const rawCodewords = Math.floor(getRawDataModules(version) / 8);
+  const shortBlockCount = blockCount - (rawCodewords % blockCount);
+  const shortBlockLength = Math.floor(rawCodewords / blockCount);
+  const generator = getGeneratorPolynomial(eccLength);
+
+  const blocks = [];
+  for (let i = 0, offset = 0; i < blockCount; i++) {
+    const block = data.slice(offset, offset + shortBlockLength - eccLength + (i < shortBlockCount ? 0 : 1));
+    offset += block.length;
+    const ecc = getErrorCorrection(block, generator);
+    // Lyhyisiin lohkoihin paikanpitäjä, jotta lomitus käy samalla indeksillä
+    if (i < shortBlockCount) block.push(0);
+    blocks.push([...block, ...ecc]);
+  }
+
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, index) => {
+      if (i !== shortBlockLength - eccLength || index >= shortBlockCount) result.push(block[i]);
+    });
+  }
+  return result;
+}
+
+function createMatrix(version) {
+  const size = version * 4 + 17;
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+  const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+  const setFunction = (x, y, dark) => {
+    modules[y][x] = dark;
+    reserved[y][x] = true;
+  };
+
+  // Ajoituskuviot
+  for (let i = 0; i < size; i++) {
+    setFunction(6, i, i % 2 === 0);
+    setFunction(i, 6, i % 2 === 0);
+  }
+
+  // Paikannuskuviot erottimineen kolmessa kulmassa
+  for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        const distance = Math.max(Math.abs(dx), Math.abs(dy));
+        if (x >= 0 && x < size && y >= 0 && y < size) setFunction(x, y, distance !== 2 && distance !== 4);
+      }
+    }
+  }
+
+  // Kohdistuskuviot, paitsi paikannuskuvioiden päällä
+  const positions = getAlignmentPositions(version);
+  const last = positions.length - 1;
+  positions.forEach((cy, i) => {
+    positions.forEach((cx, j) => {
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) {
+          setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+      }
+    });
+  });
+
+  // Versiotieto versiosta 7 alkaen
+  if (version >= 7) {
+    let remainder = version;
+    for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+    const bits = (version << 12) | remainder;
+    for (let i = 0; i < 18; i++) {
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      setFunction(a, b, getBit(bits, i));
+      setFunction(b, a, getBit(bits, i));
+    }
+  }
+
+  return { size, modules, reserved, setFunction };
+}
+
+// Formaattitieto (taso ja maski) kahteen kertaan; varataan ennen datan sijoittamista
+function drawFormatBits(matrix, level, mask) {
+  const { size, setFunction } = matrix;
+  const data = (level.formatBits << 3) | mask;
+  let remainder = data;
+  for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+  const bits = ((data << 10) | remainder) ^ 0x5412;
+
+  for (let i = 0; i <= 5; i++) setFunction(8, i, getBit(bits, i));
+  setFunction(8, 7, getBit(bits, 6));
+  setFunction(8, 8, getBit(bits, 7));
+  setFunction(7, 8, getBit(bits, 8));
+  for (let i = 9; i < 15; i++) setFunction(14 - i, 8, getBit(bits, i));
+
+  for (let i = 0; i < 8; i++) setFunction(size - 1 - i, 8, getBit(bits, i));
+  for (let i = 8; i < 15; i++) setFunction(8, size - 15 + i, getBit(bits, i));
+  // Aina tumma moduuli
+  setFunction(8, size - 8, true);
+}
+
+// Siksak oikeasta alakulmasta kahden sarakkeen kaistoina; pystyajoituskuvion sarake ohitetaan
+function drawCodewords(matrix, codewords) {
+  const { size, modules, reserved } = matrix;
+  let bit = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    for (let vertical = 0; vertical < size; vertical++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const upward = ((right + 1) & 2) === 0;
+        const y = upward ? size - 1 - vertical : vertical;
+        if (!reserved[y][x] && bit < codewords.length * 8) {
+          modules[y][x] = getBit(codewords[bit >>> 3], 7 - (bit & 7));
+          bit++;
+        }
+      }
+    }
+  }
+}
+
+function applyMask(matrix, mask) {
+  const { size, modules, reserved } = matrix;
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (!reserved[y][x] && MASKS[mask](x, y)) modules[y][x] = !modules[y][x];
+    }
+  }
+}
+
+// Sakkopisteet: pitkät saman väriset jonot, 2×2-alueet, paikannuskuvion kaltaiset jonot ja
+// tummien moduulien osuuden poikkeama puolesta
+function getPenalty(modules) {
+  const size = modules.length;
+  let penalty = 0;
+  const lines = [];
+  for (let i = 0; i < size; i++) {
+    lines.push(modules[i]);
+    lines.push(modules.map((row) => row[i]));
+  }
+
+  for (const line of lines) {
+    let run = 1;
+    for (let i = 1; i <= size; i++) {
+      if (i < size && line[i] === line[i - 1]) {
+        run++;
+      } else {
+        if (run >= 5) penalty += run - 2;
+        run = 1;
+      }
+    }
+
+    // 1:1:3:1:1 ja neljä vaaleaa moduulia jommallakummalla puolella; reunan ulkopuoli on vaalea
+    const at = (i) => i >= 0 && i < size && line[i];
+    for (let i = -4; i < size; i++) {
+      const core = at(i) && !at(i + 1) && at(i + 2) && at(i + 3) && at(i + 4) && !at(i + 5) && at(i + 6);
+      if (!core) continue;
+      const lightBefore = [1, 2, 3, 4].every((d) => !at(i - d));
+      const lightAfter = [7, 8, 9, 10].every((d) => !at(i + d));
+      if (lightBefore) penalty += 40;
+      if (lightAfter) penalty += 40;
+    }
+  }
+
+  for (let y = 0; y < size - 1; y++) {
+    for (let x = 0; x < size - 1; x++) {
+      const color = modules[y][x];
+      if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) penalty += 3;
+    }
+  }
+
+  const dark = modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+  const total = size * size;
+  penalty += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+  return penalty;
+}
+
+// Palauttaa { version, size, modules }, jossa modules[y][x] on true tummalle moduulille.
+// mask (0–7) pakottaa maskin; muuten valitaan pienimmän sakon maski.
+export function encodeQr(text, { errorCorrection = "M", mask } = {}) {
+  const level = ERROR_CORRECTION[errorCorrection];
+  if (!level) throw new Error(`Unknown QR error correction level: ${errorCorrection}`);
+
+  const bytes = [...Buffer.from(String(text), "utf-8")];
+  let version = MIN_VERSION;
+  while (4 + getCountBits(version) + bytes.length * 8 > getDataCodewords(version, level) * 8) {
+    if (++version > MAX_VERSION) throw new Error(`Text too long for a QR code: ${bytes.length} bytes`);
+  }
+
+  const codewords = addErrorCorrection(encodeData(bytes, version, level), version, level);
+  const masks = mask === undefined ? MASKS.map((_, index) => index) : [mask];
+
+  let best = null;
+  for (const candidate of masks) {
+    const matrix = createMatrix(version);
+    drawFormatBits(matrix, level, candidate);
+    drawCodewords(matrix, codewords);
+    applyMask(matrix, candidate);
+    const penalty = masks.length > 1 ? getPenalty(matrix.modules) : 0;
+    if (!best || penalty < best.penalty) best = { penalty, matrix };
+  }
+
+  return { version, size: best.matrix.size, modules: best.matrix.modules };
+}
+
+// SVG, jossa yksi polku tummille moduuleille; margin on standardin mukainen vaalea reunus moduuleina.
+// Koko tulee CSS:stä, viewBox pitää moduulit kokonaislukukoordinaateissa.
+export function renderQrSvg(text, { title, margin = 4, errorCorrection } = {}) {
+  const { size, modules } = encodeQr(text, { errorCorrection });
+  const total = size + margin * 2;
+
+  let path = "";
+  modules.forEach((row, y) => {
+    for (let x = 0; x < size; x++) {
+      if (!row[x]) continue;
+      // Vierekkäiset tummat moduulit yhdeksi suorakaiteeksi
+      let end = x;
+      while (end + 1 < size && row[end + 1]) end++;
+      path += `M${x + margin} ${y + margin}h${end - x + 1}v1h${x - end - 1}z`;
+      x = end;
+    }
+  });
+
+  return (
+    `<svg class="qr-code" viewBox="0 0 ${total} ${total}" role="img" aria-label="${escapeXml(title || text)}" shape-rendering="crispEdges">` +
+    `<rect width="${total}" height="${total}" fill="#fff"/><path d="${path}" fill="#000"/></svg>`
+  );
+}
@@ -0,0 +1,199 @@
+import { writeFile, mkdir } from "fs/promises";
+import path from "path";
+
+// Henkilötietojen peittäminen otsikoista ja kuvauksista ennen julkaisua.
+//
+// Tunnistimet ajetaan järjestyksessä, ja osuma korvataan tyyppikohtaisella merkinnällä
+// (esim. "[puhelinnumero]"). Asiakirjoille ja lompakoille käytetään tiukkaa tasoa: silloin
+// peitetään myös tarkistussummaltaan virheelliset tunnisteet, pitkät numerosarjat ja
+// yleisellä etunimellä alkavat nimiparit. Moderaattoreille kirjoitetaan erillinen raportti,
+// jossa löydetyt arvot ovat osittain peitettyinä; raportti ei päädy dist/-hakemistoon.
+
+const STRICT_CATEGORIES = new Set(["DOCUMENTS", "WALLET"]);
+
+const MASKS = {
+  email: "[sähköposti]",
+  iban: "[tilinumero]",
+  card: "[kortin numero]",
+  hetu: "[henkilötunnus]",
+  phone: "[puhelinnumero]",
+  number: "[numero]",
+  name: "[nimi]",
+};
+
+const FIELDS = ["title", "description"];
+
+// Kirjain- ja numerorajat: \b ei tunne ääkkösiä
+const START = "(?<![\\p{L}\\p{N}])";
+const END = "(?![\\p{L}\\p{N}])";
+
+const EMAIL_RE = /[\p{L}\p{N}._%+-]+@[\p{L}\p{N}-]+(?:\.[\p{L}\p{N}-]+)*\.\p{L}{2,}/gu;
+// Yhteen kirjoitettu tai neljän merkin ryhmiin jaettu; kirjainkoolla ei ole väliä
+const IBAN_RE = new RegExp(
+  `${START}[A-Z]{2}\\d{2}(?:[A-Z0-9]{10,30}|(?: [A-Z0-9]{4}){2,7}(?: [A-Z0-9]{1,3})?)${END}`,
+  "giu",
+);
+const CARD_RE = new RegExp(`${START}\\d(?:[ -]?\\d){12,18}${END}`, "gu");
+const HETU_RE = new RegExp(`${START}(\\d{2})(\\d{2})(\\d{2})([-+A-FU-Y])(\\d{3})([0-9A-Y])${END}`, "giu");
+// Päivämäärät (2026-10-12, 01-10-2026, 05 10 2026, 1.10.2026) näyttävät numerosarjoilta ja
+// nollalla alkaessaan puhelinnumeroilta, joten niitä ei peitetä
+const dayMonthYear = (sep) => `(?:0?[1-9]|[12]\\d|3[01])${sep}(?:0?[1-9]|1[0-2])${sep}(?:19|20)\\d{2}`;
+const DATE = `(?:\\d{4}-\\d{2}-\\d{2}|${["-", " ", "\\."].map(dayMonthYear).join("|")})(?!\\d)`;
+const PHONE_RE = new RegExp(
+  `(?<![\\p{L}\\p{N}+])(?!${DATE})(?:\\+358|00358|0)[ -]?\\d(?:[ -]?\\d){6,10}${END}`,
+  "gu",
+);
+// Vähintään 9 numeroa; päivämäärä ei ala eikä jatka numerosarjaa
+const LONG_NUMBER_RE = new RegExp(`${START}(?!${DATE})\\d(?:\\d|[ -](?!${DATE})\\d){8,}${END}`, "gu");
+const NAME = "\\p{Lu}[\\p{Ll}'-]+";
+
+// Vihjesanat kirjoitetaan pienellä; alkukirjain saa olla iso. Englanninkieliset ovat yleisiä
+// muussakin tekstissä ("brand name", "owner manual"), joten ne kelpaavat vain kaksoispisteen kanssa.
+const NAME_CUES = ["nimi", "nimellä", "nimeltä", "nimeltään", "omistaja", "omistajan"];
+const NAME_LABELS = ["name", "owner"];
+const cuePattern = (cues) => cues.map((cue) => `[${cue[0]}${cue[0].toUpperCase()}]${cue.slice(1)}`).join("|");
+const NAME_CUE_RE = new RegExp(
+  `${START}((?:${cuePattern(NAME_CUES)})\\s*:?\\s+|(?:${cuePattern(NAME_LABELS)})\\s*:\\s*)` +
+    `(${NAME}(?:\\s+${NAME}){0,2})${END}`,
+  "gu",
+);
+
+// Yleisimpiä etunimiä; tiukalla tasolla "Etunimi Sukunimi" peitetään
+const FIRST_NAMES = [
+  "Aino", "Aleksi", "Anna", "Anne", "Anneli", "Antti", "Eero", "Eeva", "Elina", "Emilia", "Emma",
+  "Erkki", "Hanna", "Heikki", "Helena", "Hannu", "Ilkka", "Jaana", "Janne", "Jari", "Johanna",
+  "Juha", "Juho", "Jukka", "Jussi", "Kaarina", "Kalle", "Kari", "Katja", "Kirsi", "Laura", "Leena",
+  "Liisa", "Maija", "Maria", "Marja", "Marjatta", "Markku", "Matti", "Mika", "Mikko", "Minna",
+  "Niina", "Niko", "Olli", "Onni", "Paavo", "Pekka", "Petri", "Pirjo", "Riikka", "Sami", "Sanna",
+  "Sari", "Satu", "Seppo", "Tapio", "Teemu", "Timo", "Tiina", "Tuula", "Tuomas", "Ville", "Aada",
+  "Eino", "Elias", "Leo", "Oliver", "Olivia", "Sofia", "Väinö", "Lauri", "Ella", "Helmi",
+];
+const NAME_PAIR_RE = new RegExp(`${START}(?:${FIRST_NAMES.join("|")})\\s+${NAME}${END}`, "gu");
+
+const HETU_CHECK = "0123456789ABCDEFHJKLMNPRSTUVWXY";
+
+function digitsOf(value) {
+  return value.replace(/\D/g, "");
+}
+
+function isLuhnValid(value) {
+  const digits = digitsOf(value);
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+function isIbanValid(value) {
+  const iban = value.replace(/ /g, "").toUpperCase();
+  const rearranged = iban.slice(4) + iban.slice(0, 4);
+  const numeric = rearranged.replace(/[A-Z]/g, (char) => String(char.charCodeAt(0) - 55));
+  let remainder = 0;
+  for (const digit of numeric) {
+    remainder = (remainder * 10 + Number(digit)) % 97;
+  }
+  return remainder === 1;
+}
+
+function isHetuValid([, day, month, year, , serial, check]) {
+  return HETU_CHECK[Number(`${day}${month}${year}${serial}`) % 31] === check.toUpperCase();
+}
+
+function isPlausibleDate([, day, month]) {
+  return Number(day) >= 1 && Number(day) <= 31 && Number(month) >= 1 && Number(month) <= 12;
+}
+
+// Raporttiin vain alku ja loppu, jotta raportti itsessään ei vuoda tietoja
+function preview(value) {
+  const chars = [...value];
+  if (chars.length <= 4) return chars.map(() => "*").join("");
+  return chars
+    .map((char, index) =>
+      index < 2 || index >= chars.length - 2 || !/[\p{L}\p{N}]/u.test(char) ? char : "*",
+    )
+    .join("");
+}
+
+function getDetectors(strict) {
+  return [
+    { kind: "email", re: EMAIL_RE },
+    { kind: "iban", re: IBAN_RE, accept: (m) => strict || isIbanValid(m[0]) },
+    { kind: "card", re: CARD_RE, accept: (m) => strict || isLuhnValid(m[0]) },
+    { kind: "hetu", re: HETU_RE, accept: (m) => isPlausibleDate(m) && (strict || isHetuValid(m)) },
+    { kind: "phone", re: PHONE_RE },
+    ...(strict ? [{ kind: "number", re: LONG_NUMBER_RE }] : []),
+    // Vihjesana ("nimi:", "omistaja") jätetään näkyviin, vain nimi peitetään
+    { kind: "name", re: NAME_CUE_RE, group: 2 },
+    ...(strict ? [{ kind: "name", re: NAME_PAIR_RE }] : []),
+  ];
+}
+
+export function redactText(text, { strict = false } = {}) {
+  if (!text) return { text, findings: [] };
+
+  const findings = [];
+  let result = String(text);
+
+  for (const { kind, re, accept, group } of getDetectors(strict)) {
+    result = result.replace(re, (...args) => {
+      // args: koko osuma, ryhmät, indeksi, merkkijono
+      const match = args.slice(0, -2);
+      if (accept && !accept(match)) return match[0];
+
+      if (group) {
+        findings.push({ kind, preview: preview(match[group]) });
+        return match[0].replace(match[group], MASKS[kind]);
+      }
+      findings.push({ kind, preview: preview(match[0]) });
+      return MASKS[kind];
+    });
+  }
+
+  return { text: result, findings };
+}
+
+export function getStrictness(category) {
+  return STRICT_CATEGORIES.has(category) ? "strict" : "standard";
+}
+
+// Palauttaa peitetyt ilmoitukset ja raportin rivit [{ id, category, strictness, findings }]
+export function redactItems(items) {
+  const report = [];
+
+  const redacted = items.map((item) => {
+    const strictness = getStrictness(item.category);
+    const findings = [];
+    const changes = {};
+
+    for (const field of FIELDS) {
+      const result = redactText(item[field], { strict: strictness === "strict" });
+      if (result.findings.length === 0) continue;
+      changes[field] = result.text;
+      findings.push(...result.findings.map((finding) => ({ field, ...finding })));
+    }
+
+    if (findings.length === 0) return item;
+    report.push({ id: item.id, category: item.category, strictness, findings });
+    return { ...item, ...changes };
+  });
+
+  return { items: redacted, report };
+}
+
+export async function writeRedactionReport(report, { filePath, buildId, generatedAt }) {
+  await mkdir(path.dirname(filePath), { recursive: true });
+  const data = {
+    generatedAt,
+    buildId,
+    items: report.length,
+    findings: report.reduce((sum, entry) => sum + entry.findings.length, 0),
+    entries: report,
+  };
+  await writeFile(filePath, JSON.stringify(data, null, 2), "utf-8");
+}
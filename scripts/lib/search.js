@@ -0,0 +1,56 @@
+import { writeFile } from "fs/promises";
+import path from "path";
+import { normalizeText, stemWord, STOP_WORDS, SUFFIXES, MIN_STEM } from "./text.js";
+
+// Etusivun haun indeksi (dist/search-index.json). Build laskee sanavartalot valmiiksi, ja
+// public/js/app.js vartaloi hakusanat samoilla säännöillä, jotka kirjoitetaan indeksiin mukaan.
+// Näin "lompakko" löytää "lompakon" ja "avain" "avaimet" ilman, että selaimen tarvitsee
+// käsitellä jokaisen ilmoituksen koko tekstiä.
+//
+// Muoto: terms on { vartalo: [ilmoituksen indeksi, paino, ilmoituksen indeksi, paino, ...] },
+// jossa indeksi viittaa ids-taulukkoon. Otsikon sanat painavat enemmän kuin kuvauksen.
+
+export const SEARCH_INDEX_VERSION = 2;
+export const SEARCH_INDEX_FILE = "search-index.json";
+
+const FIELD_WEIGHTS = { title: 3, description: 1 };
+
+// Samat sanat kuin tokenize() tekstivertailussa, mutta vartaloita ei lyhennetä alkuosaan
+function getSearchTerms(text) {
+  return normalizeText(text)
+    .split(" ")
+    .filter((word) => word.length >= MIN_STEM && !STOP_WORDS.has(word))
+    .map(stemWord);
+}
+
+export function buildSearchIndex(items, { buildId }) {
+  const postings = new Map();
+
+  items.forEach((item, index) => {
+    const weights = new Map();
+    for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+      for (const term of getSearchTerms(item[field])) {
+        weights.set(term, (weights.get(term) || 0) + weight);
+      }
+    }
+    for (const [term, weight] of weights) {
+      if (!postings.has(term)) postings.set(term, []);
+      postings.get(term).push(index, weight);
+    }
+  });
+
+  const terms = Object.fromEntries([...postings].sort(([a], [b]) => a.localeCompare(b)));
+  return {
+    version: SEARCH_INDEX_VERSION,
+    buildId,
+    rules: { minStem: MIN_STEM, suffixes: SUFFIXES, stopWords: [...STOP_WORDS] },
+    ids: items.map((item) => item.id),
+    terms,
+  };
+}
+
+export async function writeSearchIndex(items, { distDir, buildId }) {
+  const index = buildSearchIndex(items, { buildId });
+  await writeFile(path.join(distDir, SEARCH_INDEX_FILE), JSON.stringify(index), "utf-8");
+  return { items: index.ids.length, terms: Object.keys(index.terms).length };
+}
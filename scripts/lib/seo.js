@@ -0,0 +1,125 @@
+import { rawJson } from "./template.js";
+import { escapeXml } from "./feeds.js";
+import { truncateText, getCategoryName, getTypeName } from "./format.js";
+import { getCatalog, LOCALES, t } from "./i18n.js";
+
+// Hakukoneille ja jaetuille linkeille: canonical, OpenGraph/Twitter, JSON-LD, sitemap ja robots.txt
+
+const DESCRIPTION_LENGTH = 160;
+const MAX_LIST_ITEMS = 100;
+
+export function describeItem(item, catalog = getCatalog()) {
+  if (item.description) {
+    return truncateText(item.description.replace(/\s+/g, " "), DESCRIPTION_LENGTH - 3);
+  }
+  return `${getTypeName(item.type, catalog)}: ${getCategoryName(item.category, catalog)}, ${item.area}`;
+}
+
+// Arvot templates/partials/seo-meta.html:lle
+// image: { url, width, height } peilatusta kuvasta (ks. images.js)
+// alternates: saman sivun kieliversiot [{ hreflang, href }] (ks. build-snapshot.js)
+export function getSeoData({
+  siteUrl,
+  pagePath,
+  title,
+  description,
+  image = null,
+  type = "website",
+  jsonLd,
+  catalog = getCatalog(),
+  alternates = [],
+}) {
+  return {
+    CANONICAL_URL: new URL(pagePath, siteUrl).href,
+    OG_LOCALE: catalog.ogLocale,
+    OG_LOCALE_ALTERNATES: LOCALES.filter((locale) => locale !== catalog).map((locale) => ({
+      OG_LOCALE_ALTERNATE: locale.ogLocale,
+    })),
+    ALTERNATES: alternates.map(({ hreflang, href }) => ({ HREFLANG: hreflang, HREF: href })),
+    META_TITLE: title,
+    META_DESCRIPTION: description,
+    META_IMAGE: image?.url || null,
+    META_IMAGE_WIDTH: image?.width || null,
+    META_IMAGE_HEIGHT: image?.height || null,
+    OG_TYPE: type,
+    TWITTER_CARD: image ? "summary_large_image" : "summary",
+    JSON_LD: rawJson(jsonLd),
+  };
+}
+
+export function getItemJsonLd(item, url, image = null, catalog = getCatalog()) {
+  return {
+    "@context": "https://schema.org",
+    "@type": "WebPage",
+    "@id": url,
+    url,
+    name: item.title,
+    description: describeItem(item, catalog),
+    inLanguage: catalog.code,
+    datePublished: item.timestamp,
+    keywords: [getTypeName(item.type, catalog), getCategoryName(item.category, catalog), item.area].join(", "),
+    contentLocation: { "@type": "Place", name: item.area },
+    ...(image && {
+      primaryImageOfPage: {
+        "@type": "ImageObject",
+        contentUrl: image.url,
+        width: image.width,
+        height: image.height,
+      },
+    }),
+    mainEntity: {
+      "@type": "Thing",
+      name: item.title,
+      description: item.description || undefined,
+      image: image?.url,
+    },
+  };
+}
+
+export function getIndexJsonLd({ url, items, itemUrl, name, catalog = getCatalog() }) {
+  return {
+    "@context": "https://schema.org",
+    "@type": "CollectionPage",
+    "@id": url,
+    url,
+    name: name || t(catalog, "SITE_TITLE"),
+    inLanguage: catalog.code,
+    mainEntity: {
+      "@type": "ItemList",
+      numberOfItems: items.length,
+      itemListElement: items.slice(0, MAX_LIST_ITEMS).map((item, index) => ({
+        "@type": "ListItem",
+        position: index + 1,
+        url: itemUrl(item),
+        name: item.title,
+      })),
+    },
+  };
+}
+
+export function renderSitemap(entries) {
+  const urls = entries
+    .map(
+      ({ loc, lastmod }) => `
+  <url>
+    <loc>${escapeXml(loc)}</loc>${lastmod ? `
+    <lastmod>${escapeXml(lastmod)}</lastmod>` : ""}
+  </url>`,
+    )
+    .join("");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">${urls}
+</urlset>
+`;
+}
+
+// Hakukoneet lukevat robots.txt:n vain domainin juuresta; GitHub Pagesin
+// projektipolussa sitemap kannattaa siksi ilmoittaa myös Search Consoleen.
+export function renderRobots(siteUrl) {
+  return `User-agent: *
+Allow: /
+
+Sitemap: ${new URL("sitemap.xml", siteUrl).href}
+`;
+}
@@ -0,0 +1,34 @@
+// URL-turvalliset tunnisteet suomenkielisistä nimistä: "Töölö" → "toolo", "Itä-Pasila" → "ita-pasila"
+
+// Tyyppien polkuosat; samat syötteissä (feeds/loytyneet.atom.xml) ja aluesivuilla (alue/kallio/loytyneet/)
+export const TYPE_SLUGS = { FOUND: "loytyneet", LOST: "kadonneet" };
+
+const REPLACEMENTS = { ä: "a", ö: "o", å: "a", é: "e", ü: "u", ß: "ss" };
+
+export function slugify(text) {
+  const slug = String(text ?? "")
+    .toLowerCase()
+    .replace(/[äöåéüß]/g, (char) => REPLACEMENTS[char])
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+  return slug || "tuntematon";
+}
+
+// Eri nimet voivat tuottaa saman slugin ("Töölö" / "Toolo"), joten törmäykset numeroidaan
+export function createSlugMap(names) {
+  const map = new Map();
+  const used = new Set();
+
+  for (const name of names) {
+    const base = slugify(name);
+    let slug = base;
+    for (let n = 2; used.has(slug); n++) {
+      slug = `${base}-${n}`;
+    }
+    used.add(slug);
+    map.set(name, slug);
+  }
+  return map;
+}
@@ -0,0 +1,196 @@
+import { readFile } from "fs/promises";
+import path from "path";
+
+// Pieni template-moottori templates/-hakemiston HTML-tiedostoille.
+//
+//   <!-- NAME -->                          arvo (escapattuna, ellei rawHtml)
+//   <!-- EACH NAME --> ... <!-- END NAME --> toisto taulukon jokaiselle alkiolle
+//   <!-- IF NAME --> ... <!-- ELSE --> ... <!-- END NAME -->
+//   <!-- INCLUDE partial-name -->          templates/partials/partial-name.html
+//
+// Tuntematon tai renderöinnin jälkeen jäljelle jäävä placeholder kaataa buildin.
+
+const TAG_RE = /<!-- ([A-Za-z0-9_ -]+?) -->/g;
+const NAME = "[A-Z][A-Z0-9_]*";
+const PLACEHOLDER_RE = new RegExp(`^${NAME}$`);
+const BLOCK_RE = new RegExp(`^(EACH|IF|END) (${NAME})$`);
+const INCLUDE_RE = /^INCLUDE ([a-z0-9-]+)$/;
+const LEFTOVER_RE = new RegExp(`<!-- ((?:EACH |IF |END |INCLUDE )?${NAME}|ELSE) -->`);
+
+export class TemplateError extends Error {
+  constructor(message, templateName) {
+    super(templateName ? `${templateName}: ${message}` : message);
+    this.name = "TemplateError";
+  }
+}
+
+class RawHtml {
+  constructor(html) {
+    this.html = html;
+  }
+}
+
+export function rawHtml(html) {
+  return new RawHtml(html ?? "");
+}
+
+// JSON <script>-tagin sisällöksi; "<" escapataan, jottei esim. "</script>" katkaise tagia
+export function rawJson(data) {
+  return rawHtml(JSON.stringify(data).replace(/</g, "\\u003c"));
+}
+
+export function escapeHtml(text) {
+  if (text === null || text === undefined) return "";
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#039;");
+}
+
+function parse(source, templateName) {
+  const root = { type: "root", children: [] };
+  const stack = [root];
+  let lastIndex = 0;
+
+  const current = () => stack[stack.length - 1];
+  const pushText = (text) => {
+    if (text) current().children.push({ type: "text", text });
+  };
+
+  for (const match of source.matchAll(TAG_RE)) {
+    const tag = match[1];
+    const block = tag.match(BLOCK_RE);
+
+    if (tag === "ELSE") {
+      pushText(source.slice(lastIndex, match.index));
+      const node = current();
+      if (node.type !== "if" || node.elseChildren) {
+        throw new TemplateError("<!-- ELSE --> outside of an IF block", templateName);
+      }
+      node.elseChildren = [];
+      node.children = node.elseChildren;
+    } else if (block) {
+      pushText(source.slice(lastIndex, match.index));
+      const [, keyword, name] = block;
+      if (keyword === "END") {
+        const node = current();
+        if (node.type === "root" || node.name !== name) {
+          throw new TemplateError(`unexpected <!-- END ${name} -->`, templateName);
+        }
+        stack.pop();
+      } else {
+        const node = {
+          type: keyword === "EACH" ? "each" : "if",
+          name,
+          thenChildren: [],
+          elseChildren: null,
+        };
+        node.children = node.thenChildren;
+        current().children.push(node);
+        stack.push(node);
+      }
+    } else if (PLACEHOLDER_RE.test(tag)) {
+      pushText(source.slice(lastIndex, match.index));
+      current().children.push({ type: "value", name: tag });
+    } else {
+      // Tavallinen HTML-kommentti, jätetään sellaisenaan
+      continue;
+    }
+    lastIndex = match.index + match[0].length;
+  }
+
+  pushText(source.slice(lastIndex));
+
+  if (stack.length > 1) {
+    throw new TemplateError(`unclosed <!-- ${current().type.toUpperCase()} ${current().name} -->`, templateName);
+  }
+  return root.children;
+}
+
+function lookup(scopes, name, templateName) {
+  for (let i = scopes.length - 1; i >= 0; i--) {
+    if (Object.prototype.hasOwnProperty.call(scopes[i], name)) {
+      return scopes[i][name];
+    }
+  }
+  throw new TemplateError(`unknown placeholder <!-- ${name} -->`, templateName);
+}
+
+function isTruthy(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  if (value instanceof RawHtml) return value.html !== "";
+  return Boolean(value);
+}
+
+function renderNodes(nodes, scopes, templateName) {
+  let out = "";
+  for (const node of nodes) {
+    if (node.type === "text") {
+      out += node.text;
+    } else if (node.type === "value") {
+      const value = lookup(scopes, node.name, templateName);
+      out += value instanceof RawHtml ? value.html : escapeHtml(value);
+    } else if (node.type === "if") {
+      const branch = isTruthy(lookup(scopes, node.name, templateName))
+        ? node.thenChildren
+        : node.elseChildren || [];
+      out += renderNodes(branch, scopes, templateName);
+    } else if (node.type === "each") {
+      const list = lookup(scopes, node.name, templateName);
+      if (!Array.isArray(list)) {
+        throw new TemplateError(`<!-- EACH ${node.name} --> needs an array`, templateName);
+      }
+      for (const entry of list) {
+        out += renderNodes(node.thenChildren, [...scopes, entry], templateName);
+      }
+    }
+  }
+  return out;
+}
+
+export function renderTemplate(source, data, templateName) {
+  const html = renderNodes(parse(source, templateName), [data], templateName);
+
+  const leftover = html.match(LEFTOVER_RE);
+  if (leftover) {
+    throw new TemplateError(`leftover placeholder ${leftover[0]} in output`, templateName);
+  }
+  return html;
+}
+
+async function resolveIncludes(source, templatesDir, seen) {
+  let out = "";
+  let lastIndex = 0;
+
+  for (const match of source.matchAll(TAG_RE)) {
+    const include = match[1].match(INCLUDE_RE);
+    if (!include) continue;
+
+    const partialName = include[1];
+    if (seen.includes(partialName)) {
+      throw new TemplateError(`recursive include of partial "${partialName}"`, seen[0]);
+    }
+
+    const partialPath = path.join(templatesDir, "partials", `${partialName}.html`);
+    let partial;
+    try {
+      partial = await readFile(partialPath, "utf-8");
+    } catch {
+      throw new TemplateError(`partial "${partialName}" not found (${partialPath})`, seen[0]);
+    }
+
+    out += source.slice(lastIndex, match.index);
+    out += await resolveIncludes(partial.trimEnd(), templatesDir, [...seen, partialName]);
+    lastIndex = match.index + match[0].length;
+  }
+
+  return out + source.slice(lastIndex);
+}
+
+export async function loadTemplate(templatesDir, fileName) {
+  const source = await readFile(path.join(templatesDir, fileName), "utf-8");
+  const resolved = await resolveIncludes(source, templatesDir, [fileName]);
+  return (data) => renderTemplate(resolved, data, fileName);
+}
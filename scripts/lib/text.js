@@ -0,0 +1,71 @@
+// Suomenkielisen vapaan tekstin normalisointi vertailua varten.
+//
+// Taivutus käsitellään karkeasti: yleisimmät sijapäätteet poistetaan, kaksoiskirjaimet
+// yhdistetään (astevaihtelu, "reppu" / "repun") ja sanoja verrataan alkuosan perusteella,
+// jolloin esim. "avaimet", "avaimia" ja "avainnippu" osuvat yhteen.
+// Ä ja ö muutetaan a:ksi ja o:ksi, koska niitä jätetään usein kirjoittamatta.
+
+export const STOP_WORDS = new Set([
+  "ja", "tai", "on", "oli", "ei", "se", "ne", "sen", "joka", "jossa", "jonka", "mutta", "kun",
+  "etta", "myos", "vain", "nyt", "han", "mina", "minun", "olen", "olisi", "kuin", "siina",
+  "sita", "tama", "taman", "tassa", "noin", "klo", "sain", "loysin", "kadotin", "loytyi",
+  "hukkasin", "kadonnut", "loytynyt", "the", "and", "with",
+]);
+
+// Pisimmät ensin, jotta esim. "-ssa" ei jää "-lla"-päätteen jalkoihin
+export const SUFFIXES = [
+  "ineen", "ssaan", "staan", "llaan", "ltaan", "lleen",
+  "ihin",
+  "ssa", "sta", "lla", "lta", "lle", "ksi", "tta", "ine", "iin",
+  "na", "an", "en", "in", "on", "un", "yn", "ja", "ia", "it", "et", "at", "ot",
+  "n", "t", "a", "i", "u", "y",
+];
+
+export const MIN_STEM = 3;
+const PREFIX_LENGTH = 4;
+
+export function normalizeText(text) {
+  return String(text ?? "")
+    .toLowerCase()
+    .replace(/ä/g, "a")
+    .replace(/ö/g, "o")
+    .replace(/å/g, "a")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+// Sanavartalo ilman alkuosaan lyhentämistä; hakuindeksi (search.js) käyttää tätä sellaisenaan.
+// Pääte poistetaan ennen kaksoiskirjainten yhdistämistä, muuten "-ssa" ja "-lla" eivät koskaan osuisi.
+export function stemWord(text) {
+  const suffix = SUFFIXES.find((s) => text.endsWith(s) && text.length - s.length >= MIN_STEM);
+  return (suffix ? text.slice(0, -suffix.length) : text).replace(/(.)\1+/g, "$1");
+}
+
+export function stem(text) {
+  return stemWord(text).slice(0, PREFIX_LENGTH);
+}
+
+// Vertailukelpoiset sanavartalot ilman täytesanoja ja lyhyitä sanoja
+export function tokenize(text) {
+  return normalizeText(text)
+    .split(" ")
+    .filter((word) => word.length >= MIN_STEM && !STOP_WORDS.has(word))
+    .map(stem);
+}
+
+export function textSimilarity(a, b) {
+  return diceCoefficient(new Set(tokenize(a)), new Set(tokenize(b)));
+}
+
+// Kahden sanavartalojoukon samankaltaisuus, 0–1
+export function diceCoefficient(left, right) {
+  if (left.size === 0 || right.size === 0) return 0;
+
+  let shared = 0;
+  for (const token of left) {
+    if (right.has(token)) shared++;
+  }
+  return (2 * shared) / (left.size + right.size);
+}
@@ -0,0 +1,72 @@
+// Ilmoitusten URL-osoitteiden tarkistus ennen kuin ne päätyvät href- tai src-attribuutteihin.
+//
+// Sallitaan vain http(s)-osoitteet ilman käyttäjätunnuksia. Some-linkeille on lisäksi
+// sallittujen palvelinten lista, ja ne muutetaan https-muotoon. Seurantaparametrit
+// (utm_*, fbclid, igshid...) poistetaan, jotta sama ilmoitus ei näy eri osoitteina.
+
+export const LINK_HOSTS = {
+  facebookLink: ["facebook.com", "fb.me", "fb.com"],
+  instagramLink: ["instagram.com", "instagr.am"],
+};
+
+const TRACKING_PARAMS = new Set([
+  "fbclid",
+  "gclid",
+  "dclid",
+  "msclkid",
+  "igshid",
+  "igsh",
+  "mibextid",
+  "rdid",
+  "share_url",
+  "ref",
+  "ref_src",
+  "ref_url",
+  "refsrc",
+  "si",
+  "_rdc",
+  "_rdr",
+]);
+const TRACKING_PREFIXES = ["utm_", "__cft__", "__tn__", "hc_"];
+
+function isTrackingParam(name) {
+  const key = name.toLowerCase();
+  return TRACKING_PARAMS.has(key) || TRACKING_PREFIXES.some((prefix) => key.startsWith(prefix));
+}
+
+function isAllowedHost(hostname, hosts) {
+  const host = hostname.toLowerCase().replace(/\.$/, "");
+  return hosts.some((allowed) => host === allowed || host.endsWith(`.${allowed}`));
+}
+
+// Palauttaa { url } tai { url: null, reason }; reason päätyy build-varoitukseen
+export function sanitizeUrl(value, { hosts = null, https = false } = {}) {
+  let url;
+  try {
+    url = new URL(String(value).trim());
+  } catch {
+    return { url: null, reason: "not a valid URL" };
+  }
+
+  if (url.protocol !== "http:" && url.protocol !== "https:") {
+    return { url: null, reason: `protocol "${url.protocol}" not allowed` };
+  }
+  if (url.username || url.password) {
+    return { url: null, reason: "credentials in URL" };
+  }
+  if (hosts && !isAllowedHost(url.hostname, hosts)) {
+    return { url: null, reason: `host "${url.hostname}" not allowed` };
+  }
+
+  if (https) url.protocol = "https:";
+
+  for (const name of [...url.searchParams.keys()]) {
+    if (isTrackingParam(name)) url.searchParams.delete(name);
+  }
+
+  return { url: url.href };
+}
+
+export function sanitizeLink(field, value) {
+  return sanitizeUrl(value, { hosts: LINK_HOSTS[field], https: true });
+}
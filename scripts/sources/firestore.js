@@ -0,0 +1,76 @@
+import { initializeApp, cert } from "firebase-admin/app";
+import { getFirestore } from "firebase-admin/firestore";
+import { readFile } from "fs/promises";
+import { existsSync } from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const SERVICE_ACCOUNT_PATH = path.join(__dirname, "../../firebase-service-account.json");
+
+export async function loadServiceAccount() {
+  if (process.env.FIREBASE_SERVICE_ACCOUNT_JSON) {
+    return JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT_JSON);
+  }
+
+  if (existsSync(SERVICE_ACCOUNT_PATH)) {
+    console.log("📄 Loading Firebase credentials from local file: firebase-service-account.json");
+    const credsContent = await readFile(SERVICE_ACCOUNT_PATH, "utf8");
+    return JSON.parse(credsContent);
+  }
+
+  throw new Error("FIREBASE_SERVICE_ACCOUNT_JSON environment variable is not defined and firebase-service-account.json was not found in the root directory.");
+}
+
+// Firestoren Timestamp-kentät muunnetaan Date-olioiksi, jotta kaikki lähteet palauttavat saman muodon
+function toPlainData(data) {
+  const plain = {};
+  for (const [key, value] of Object.entries(data)) {
+    plain[key] = typeof value?.toDate === "function" ? value.toDate() : value;
+  }
+  return plain;
+}
+
+export function createFirestoreSource({ collection, statuses, pageSize, maxItems }) {
+  return {
+    name: "firestore",
+    label: "Firebase",
+
+    async fetchDocuments() {
+      const serviceAccount = await loadServiceAccount();
+
+      initializeApp({ credential: cert(serviceAccount) });
+      const db = getFirestore();
+
+      const query = db
+        .collection(collection)
+        .where("status", "in", statuses)
+        .orderBy("timestamp", "desc");
+
+      const docs = [];
+      let lastDoc = null;
+      let page = 0;
+
+      // Haetaan sivu kerrallaan, kunnes sivu jää vajaaksi tai yläraja täyttyy
+      while (docs.length < maxItems) {
+        const limit = Math.min(pageSize, maxItems - docs.length);
+        const pageQuery = lastDoc ? query.startAfter(lastDoc) : query;
+        const snapshot = await pageQuery.limit(limit).get();
+
+        page++;
+        console.log(`📄 Page ${page}: ${snapshot.size} documents`);
+
+        docs.push(...snapshot.docs);
+        if (snapshot.size < limit) break;
+        lastDoc = snapshot.docs[snapshot.docs.length - 1];
+      }
+
+      if (docs.length >= maxItems) {
+        console.log(`⚠️  Stopped at FETCH_MAX_ITEMS=${maxItems}, older items are not included`);
+      }
+
+      return docs.map((doc) => ({ id: doc.id, data: toPlainData(doc.data()) }));
+    },
+  };
+}
@@ -0,0 +1,30 @@
+import path from "path";
+import { createFirestoreSource } from "./firestore.js";
+import { createLocalSource } from "./local.js";
+
+// Jokainen lähde palauttaa fetchDocuments()-kutsusta listan { id, data },
+// jossa data on Firestore-dokumentin kentät ja aikaleimat Date-olioina. Kokoelma ja tilat
+// tulevat asetuksista (lib/config.js).
+
+const SOURCES = {
+  firestore: createFirestoreSource,
+  local: createLocalSource,
+};
+
+export function createDataSource({ source, fixturesPath, ...options }) {
+  // --fixtures ilman --source-valintaa tarkoittaa paikallista lähdettä
+  const name = source || (fixturesPath ? "local" : "firestore");
+  const factory = SOURCES[name];
+  if (!factory) {
+    throw new Error(`Unknown data source "${name}" (available: ${Object.keys(SOURCES).join(", ")})`);
+  }
+
+  if (name === "local" && !fixturesPath) {
+    throw new Error("The local data source needs a fixtures path (--fixtures or FIXTURES_PATH)");
+  }
+
+  return factory({
+    ...options,
+    fixturesPath: fixturesPath && path.resolve(fixturesPath),
+  });
+}
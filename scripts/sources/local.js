@@ -0,0 +1,93 @@
+import { readFile, readdir, stat } from "fs/promises";
+import path from "path";
+
+// Paikallinen lähde: JSON- tai NDJSON-fixtuurit Firestore-dokumenttien muodossa.
+// JSON-tiedosto voi olla taulukko tai { "items": [...] }, NDJSON yksi dokumentti per rivi.
+// Jokaisella dokumentilla on oltava "id"; timestamp ISO-merkkijonona tai millisekunteina.
+
+const FIXTURE_EXTENSIONS = [".json", ".ndjson"];
+
+async function listFixtureFiles(fixturesPath) {
+  const info = await stat(fixturesPath);
+  if (!info.isDirectory()) return [fixturesPath];
+
+  const entries = await readdir(fixturesPath);
+  return entries
+    .filter((entry) => FIXTURE_EXTENSIONS.includes(path.extname(entry)))
+    .sort()
+    .map((entry) => path.join(fixturesPath, entry));
+}
+
+function parseFixture(content, filePath) {
+  if (path.extname(filePath) === ".ndjson") {
+    return content
+      .split(/\r?\n/)
+      .map((line, index) => ({ line: line.trim(), lineNumber: index + 1 }))
+      .filter(({ line }) => line !== "")
+      .map(({ line, lineNumber }) => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          throw new Error(`${filePath}:${lineNumber}: ${error.message}`);
+        }
+      });
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(content);
+  } catch (error) {
+    throw new Error(`${filePath}: ${error.message}`);
+  }
+
+  const records = Array.isArray(parsed) ? parsed : parsed?.items;
+  if (!Array.isArray(records)) {
+    throw new Error(`${filePath}: expected an array or an object with an "items" array`);
+  }
+  return records;
+}
+
+function toDocument(record, filePath) {
+  const { id, ...data } = record;
+  if (id === undefined || id === null || id === "") {
+    throw new Error(`${filePath}: document without "id": ${JSON.stringify(record).slice(0, 80)}`);
+  }
+
+  if (typeof data.timestamp === "string" || typeof data.timestamp === "number") {
+    data.timestamp = new Date(data.timestamp);
+  }
+  return { id: String(id), data };
+}
+
+function timeOf(doc) {
+  const time = doc.data.timestamp instanceof Date ? doc.data.timestamp.getTime() : NaN;
+  return Number.isNaN(time) ? -Infinity : time;
+}
+
+export function createLocalSource({ fixturesPath, statuses, maxItems }) {
+  return {
+    name: "local",
+    label: `local fixtures (${fixturesPath})`,
+
+    async fetchDocuments() {
+      const files = await listFixtureFiles(fixturesPath);
+      if (files.length === 0) {
+        throw new Error(`No .json or .ndjson fixtures found in ${fixturesPath}`);
+      }
+
+      const docs = [];
+      for (const filePath of files) {
+        const content = await readFile(filePath, "utf8");
+        const records = parseFixture(content, filePath);
+        console.log(`📄 ${path.basename(filePath)}: ${records.length} documents`);
+        docs.push(...records.map((record) => toDocument(record, filePath)));
+      }
+
+      // Sama rajaus ja järjestys kuin Firestore-kyselyssä
+      return docs
+        .filter((doc) => statuses.includes(doc.data.status))
+        .sort((a, b) => timeOf(b) - timeOf(a))
+        .slice(0, maxItems);
+    },
+  };
+}
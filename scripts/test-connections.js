@@ -0,0 +1,256 @@
+import { readFile } from "fs/promises";
+import { existsSync } from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { parseArgs } from "util";
+import { config } from "dotenv";
+import { resolveImageUrl } from "./lib/normalize.js";
+import { SERVICE_ACCOUNT_PATH } from "./sources/firestore.js";
+import { createDataSource } from "./sources/index.js";
+import { loadConfig } from "./lib/config.js";
+
+// Yhteystestit: samat tunnukset, kysely ja kuva-URLit kuin buildissa.
+// --dry ajaa kyselyn paikallisia fixtuureja vasten; kuvat haetaan SUPABASE_URL:sta,
+// joka voi osoittaa paikalliseen korvikkeeseen (esim. http://localhost:54321).
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+config({ path: path.join(__dirname, "../.env") });
+
+const REQUIRED_SERVICE_ACCOUNT_FIELDS = ["type", "project_id", "private_key", "client_email"];
+const LOCAL_HOSTS = ["localhost", "127.0.0.1", "[::1]"];
+
+const results = [];
+
+function record(check, status, details = "") {
+  results.push({ check, status, details });
+}
+
+function parseCliArgs() {
+  const { values } = parseArgs({
+    options: {
+      dry: { type: "boolean", default: false },
+      fixtures: { type: "string", default: path.join(__dirname, "../fixtures") },
+      emulator: { type: "string" },
+      "supabase-url": { type: "string" },
+      sample: { type: "string", default: "5" },
+      timeout: { type: "string", default: "10000" },
+      config: { type: "string" },
+    },
+  });
+
+  const sample = Number(values.sample);
+  const timeout = Number(values.timeout);
+  if (!Number.isInteger(sample) || sample <= 0) {
+    throw new Error(`--sample must be a positive integer, got "${values.sample}"`);
+  }
+  if (!Number.isInteger(timeout) || timeout <= 0) {
+    throw new Error(`--timeout must be a positive integer (ms), got "${values.timeout}"`);
+  }
+
+  return { ...values, sample, timeout };
+}
+
+function withTimeout(promise, ms, what) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${what} timed out after ${ms} ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function checkCredentials({ dry }) {
+  let raw;
+  let origin;
+
+  if (process.env.FIREBASE_SERVICE_ACCOUNT_JSON) {
+    raw = process.env.FIREBASE_SERVICE_ACCOUNT_JSON;
+    origin = "FIREBASE_SERVICE_ACCOUNT_JSON";
+  } else if (existsSync(SERVICE_ACCOUNT_PATH)) {
+    raw = await readFile(SERVICE_ACCOUNT_PATH, "utf8");
+    origin = path.basename(SERVICE_ACCOUNT_PATH);
+  } else {
+    record(
+      "Credentials found",
+      dry ? "SKIP" : "FAIL",
+      "neither FIREBASE_SERVICE_ACCOUNT_JSON nor firebase-service-account.json",
+    );
+    return false;
+  }
+  record("Credentials found", "PASS", origin);
+
+  let serviceAccount;
+  try {
+    serviceAccount = JSON.parse(raw);
+  } catch (error) {
+    record("Credentials JSON parses", "FAIL", error.message);
+    return false;
+  }
+  record("Credentials JSON parses", "PASS");
+
+  const problems = REQUIRED_SERVICE_ACCOUNT_FIELDS
+    .filter((field) => typeof serviceAccount[field] !== "string" || serviceAccount[field] === "")
+    .map((field) => `missing ${field}`);
+
+  if (serviceAccount.type && serviceAccount.type !== "service_account") {
+    problems.push(`type is "${serviceAccount.type}", expected "service_account"`);
+  }
+  if (serviceAccount.private_key && !serviceAccount.private_key.includes("BEGIN PRIVATE KEY")) {
+    problems.push("private_key is not a PEM key");
+  }
+  if (serviceAccount.client_email && !serviceAccount.client_email.includes("@")) {
+    problems.push("client_email is not an email address");
+  }
+
+  if (problems.length > 0) {
+    record("Service account fields", "FAIL", problems.join(", "));
+    return false;
+  }
+  record("Service account fields", "PASS", `project ${serviceAccount.project_id}`);
+  return true;
+}
+
+function checkSupabaseUrl(supabaseUrl) {
+  if (!supabaseUrl) {
+    record("SUPABASE_URL", "FAIL", "not set, relative imageUrl1 values cannot be resolved");
+    return false;
+  }
+
+  let url;
+  try {
+    url = new URL(supabaseUrl);
+  } catch {
+    record("SUPABASE_URL", "FAIL", `not a valid URL: ${supabaseUrl}`);
+    return false;
+  }
+
+  const isLocal = LOCAL_HOSTS.includes(url.hostname);
+  if (url.protocol !== "https:" && !(isLocal && url.protocol === "http:")) {
+    record("SUPABASE_URL", "FAIL", `expected https, got ${url.protocol}`);
+    return false;
+  }
+  if (url.pathname !== "/" || supabaseUrl.endsWith("/") || url.search || url.hash) {
+    record("SUPABASE_URL", "FAIL", "must be the bare project URL without path or trailing slash");
+    return false;
+  }
+
+  record("SUPABASE_URL", "PASS", isLocal ? `${url.origin} (local stand-in)` : url.origin);
+  return true;
+}
+
+async function checkQuery({ dry, fixtures, sample, timeout }, { collection, statuses }) {
+  const check = dry ? "Query (local fixtures)" : "Firestore query";
+  const source = createDataSource({
+    collection,
+    statuses,
+    source: dry ? "local" : "firestore",
+    fixturesPath: dry ? fixtures : undefined,
+    pageSize: sample,
+    maxItems: sample,
+  });
+
+  try {
+    const docs = await withTimeout(source.fetchDocuments(), timeout, "query");
+    if (docs.length === 0) {
+      record(check, "FAIL", `no ${statuses.join("/")} documents in ${collection}`);
+    } else {
+      const endpoint = dry ? fixtures : process.env.FIRESTORE_EMULATOR_HOST || "production";
+      record(check, "PASS", `${docs.length} documents from ${endpoint}`);
+    }
+    return docs;
+  } catch (error) {
+    record(check, "FAIL", error.message);
+    return [];
+  }
+}
+
+async function checkImages(docs, { supabaseUrl, sample, timeout }) {
+  // Suhteellisia polkuja ei voi tarkistaa ilman toimivaa SUPABASE_URL:ia
+  const withImages = docs
+    .filter((doc) => doc.data.imageUrl1)
+    .filter((doc) => supabaseUrl || String(doc.data.imageUrl1).includes("http"))
+    .slice(0, sample);
+  if (withImages.length === 0) {
+    record("Image URLs", "SKIP", "no resolvable imageUrl1 values in the sample");
+    return;
+  }
+
+  for (const doc of withImages) {
+    const url = resolveImageUrl(doc.data.imageUrl1, supabaseUrl);
+    const check = `Image ${doc.id}`;
+    try {
+      let response = await fetch(url, { method: "HEAD", signal: AbortSignal.timeout(timeout) });
+      // Kaikki palvelimet eivät tue HEAD-pyyntöä
+      if (response.status === 405) {
+        response = await fetch(url, { signal: AbortSignal.timeout(timeout) });
+      }
+
+      if (response.ok) {
+        record(check, "PASS", `${response.status} ${response.headers.get("content-type") || ""}`.trim());
+      } else {
+        record(check, "FAIL", `${response.status} ${url}`);
+      }
+    } catch (error) {
+      record(check, "FAIL", `${error.cause?.code || error.message} ${url}`);
+    }
+  }
+}
+
+function printTable() {
+  const headers = { check: "Check", status: "Status", details: "Details" };
+  const widths = {
+    check: Math.max(headers.check.length, ...results.map((r) => r.check.length)),
+    status: Math.max(headers.status.length, ...results.map((r) => r.status.length)),
+  };
+  const row = (r) => `${r.check.padEnd(widths.check)}  ${r.status.padEnd(widths.status)}  ${r.details}`;
+
+  console.log("");
+  console.log(row(headers));
+  console.log(`${"-".repeat(widths.check)}  ${"-".repeat(widths.status)}  ${"-".repeat(7)}`);
+  results.forEach((r) => console.log(row(r)));
+  console.log("");
+}
+
+async function main() {
+  const args = parseCliArgs();
+  const { config } = await loadConfig({
+    rootDir: path.join(__dirname, ".."),
+    configPath: args.config || process.env.LOSTFOUND_CONFIG,
+  });
+  const supabaseUrl = args["supabase-url"] || process.env.SUPABASE_URL;
+
+  if (args.emulator) {
+    process.env.FIRESTORE_EMULATOR_HOST = args.emulator;
+  }
+
+  console.log(`🔌 Testing connections${args.dry ? " (dry run)" : ""}...`);
+
+  const hasCredentials = await checkCredentials(args);
+  const supabaseOk = checkSupabaseUrl(supabaseUrl);
+
+  let docs = [];
+  if (args.dry || hasCredentials) {
+    docs = await checkQuery(args, config);
+  } else {
+    record("Firestore query", "SKIP", "no valid credentials");
+  }
+
+  await checkImages(docs, { ...args, supabaseUrl: supabaseOk ? supabaseUrl : null });
+
+  printTable();
+
+  const failed = results.filter((r) => r.status === "FAIL").length;
+  if (failed > 0) {
+    console.log(`❌ ${failed} of ${results.length} checks failed`);
+    return 1;
+  }
+  console.log(`✅ All checks passed`);
+  return 0;
+}
+
+main()
+  .then((code) => process.exit(code))
+  .catch((error) => {
+    console.error("❌ Connection test failed:", error.message);
+    process.exit(1);
+  });
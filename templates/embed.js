@@ -0,0 +1,225 @@
+// EMBEDDABLE WIDGET
+// Rendered by the build (scripts/lib/embed.js). A partner page adds a container and this script:
+//
+//   <div data-lostfound data-area="Kallio" data-type="LOST" data-limit="5"></div>
+//   <script src="https://example.github.io/lostfound-snapshot/embed.js" async></script>
+//
+// Without a container the widget is inserted right after the script tag and reads the script's own
+// data attributes. Data comes from export/ next to this file, so the site can live under any path.
+
+(function() {
+    // Per locale: UI strings and the names of types and statuses
+    const MESSAGES = <!-- MESSAGES -->;
+    const DEFAULT_LOCALE = '<!-- DEFAULT_LOCALE -->';
+    // Published status codes by state, from lostfound.config
+    const STATUS_GROUPS = <!-- STATUS_GROUPS -->;
+    const DEFAULT_LIMIT = 5;
+    const MAX_LIMIT = 50;
+
+    // templates/embed.css; also served as embed.css for the fallback in applyStyles
+    const STYLES = <!-- STYLES -->;
+
+    const script = document.currentScript;
+    if (!script || !script.src) return;
+    const root = new URL('./', script.src);
+
+    // Several widgets on one page share the requests
+    const requests = {};
+    let sheet = null;
+
+    function fetchJson(file) {
+        if (!requests[file]) {
+            requests[file] = fetch(new URL(file, root)).then(response => {
+                if (!response.ok) throw new Error('HTTP ' + response.status + ' for ' + file);
+                return response.json();
+            });
+        }
+        return requests[file];
+    }
+
+    // data-from-url (used by embed.html) takes the options from the page's query string instead
+    function readOptions(element) {
+        const source = 'fromUrl' in element.dataset
+            ? Object.fromEntries(new URLSearchParams(window.location.search))
+            : element.dataset;
+
+        const limit = parseInt(source.limit, 10);
+        const status = (source.status || '').toUpperCase();
+        const hostLang = (document.documentElement.lang || '').slice(0, 2).toLowerCase();
+        const lang = [source.lang, hostLang].find(code => code && MESSAGES[code]) || DEFAULT_LOCALE;
+
+        return {
+            area: source.area || '',
+            type: (source.type || '').toUpperCase(),
+            category: (source.category || '').toUpperCase(),
+            // "open" and "resolved" read better in a snippet than the data codes
+            statuses: STATUS_GROUPS[status.toLowerCase()] || (status ? [status] : []),
+            limit: limit > 0 ? Math.min(limit, MAX_LIMIT) : DEFAULT_LIMIT,
+            lang
+        };
+    }
+
+    // The smallest shard that contains every match; the rest is filtered here
+    function loadItems(options) {
+        return fetchJson('export/index.json').then(index => {
+            const shard = options.area
+                ? index.shards.find(entry => entry.area === options.area)
+                : index.shards.find(entry => !entry.area && (entry.type || '') === options.type) ||
+                  index.shards.find(entry => !entry.area && !entry.type);
+
+            if (!shard) return { items: [], siteUrl: index.siteUrl };
+            return fetchJson('export/' + shard.path).then(data => ({
+                items: data.items.filter(item =>
+                    (!options.type || item.type === options.type) &&
+                    (!options.category || item.category === options.category) &&
+                    (!options.statuses.length || options.statuses.includes(item.status))
+                ).slice(0, options.limit),
+                siteUrl: index.siteUrl
+            }));
+        });
+    }
+
+    function isHttpUrl(value) {
+        return typeof value === 'string' && /^https?:\/\//i.test(value);
+    }
+
+    function localePrefix(lang) {
+        return lang === DEFAULT_LOCALE ? '' : lang + '/';
+    }
+
+    // Item URLs point to the default language; other languages live under their own prefix
+    function localizeUrl(url, siteUrl, lang) {
+        if (!siteUrl || !url.startsWith(siteUrl)) return url;
+        return siteUrl + localePrefix(lang) + url.slice(siteUrl.length);
+    }
+
+    function create(tag, className, text) {
+        const node = document.createElement(tag);
+        if (className) node.className = className;
+        if (text !== undefined) node.textContent = text;
+        return node;
+    }
+
+    // Constructed sheets are not blocked by a host page CSP that forbids inline styles. Older
+    // browsers get the same rules as a stylesheet file, which style-src 'self' (embed.html) allows.
+    function applyStyles(shadow) {
+        if ('adoptedStyleSheets' in ShadowRoot.prototype && 'replaceSync' in CSSStyleSheet.prototype) {
+            if (!sheet) {
+                sheet = new CSSStyleSheet();
+                sheet.replaceSync(STYLES);
+            }
+            shadow.adoptedStyleSheets = [sheet];
+        } else {
+            const link = create('link');
+            link.rel = 'stylesheet';
+            link.href = new URL('embed.css', root).href;
+            shadow.appendChild(link);
+        }
+    }
+
+    function renderItem(item, options, siteUrl) {
+        const messages = MESSAGES[options.lang];
+        const entry = create('li', 'lf-item');
+        const link = create('a', 'lf-link');
+        if (isHttpUrl(item.url)) link.href = localizeUrl(item.url, siteUrl, options.lang);
+        link.target = '_blank';
+        link.rel = 'noopener';
+
+        if (isHttpUrl(item.thumbnailUrl)) {
+            const image = create('img', 'lf-thumb');
+            image.src = item.thumbnailUrl;
+            image.alt = '';
+            image.loading = 'lazy';
+            link.appendChild(image);
+        } else {
+            link.appendChild(create('span', 'lf-thumb lf-thumb-empty', '📦'));
+        }
+
+        const body = create('span', 'lf-body');
+        body.appendChild(create('span', 'lf-name', item.title));
+        const date = new Date(item.timestamp);
+        const meta = create('span', 'lf-meta', [
+            messages.types[item.type] || item.type,
+            item.area,
+            Number.isNaN(date.getTime()) ? '' : date.toLocaleDateString(messages.locale)
+        ].filter(Boolean).join(' · '));
+        if (STATUS_GROUPS.resolved.includes(item.status)) {
+            meta.appendChild(document.createTextNode(' · '));
+            meta.appendChild(create('span', 'lf-resolved', messages.statuses[item.status] || item.status));
+        }
+        body.appendChild(meta);
+        link.appendChild(body);
+        entry.appendChild(link);
+        return entry;
+    }
+
+    // Same query parameters as the filters on the front page (public/js/app.js)
+    function showAllUrl(options) {
+        const params = new URLSearchParams();
+        if (options.type) params.set('type', options.type);
+        if (options.area) params.set('area', options.area);
+        if (options.category) params.set('category', options.category);
+        // The front page filters by one status code at a time
+        if (options.statuses.length === 1) params.set('status', options.statuses[0].toLowerCase());
+        const query = params.toString();
+        return new URL(localePrefix(options.lang) + (query ? '?' + query : ''), root).href;
+    }
+
+    function render(element) {
+        // The script may be included more than once
+        if (element.shadowRoot) return;
+
+        const options = readOptions(element);
+        const messages = MESSAGES[options.lang];
+        const shadow = element.attachShadow({ mode: 'open' });
+        applyStyles(shadow);
+
+        const widget = create('section', 'lf-widget');
+        widget.lang = options.lang;
+        const title = [messages.title, options.area].filter(Boolean).join(': ');
+        widget.appendChild(create('h2', 'lf-title', title));
+        const status = create('p', 'lf-status', '…');
+        widget.appendChild(status);
+
+        const more = create('a', 'lf-more', messages.showAll);
+        more.href = showAllUrl(options);
+        more.target = '_blank';
+        more.rel = 'noopener';
+        widget.appendChild(more);
+        shadow.appendChild(widget);
+
+        loadItems(options)
+            .then(({ items, siteUrl }) => {
+                if (items.length === 0) {
+                    status.textContent = messages.noItems;
+                    return;
+                }
+                const list = create('ul', 'lf-list');
+                items.forEach(item => list.appendChild(renderItem(item, options, siteUrl)));
+                widget.replaceChild(list, status);
+            })
+            .catch(error => {
+                console.error('❌ Lost&Found widget:', error);
+                status.textContent = messages.error;
+            });
+    }
+
+    function init() {
+        const containers = document.querySelectorAll('[data-lostfound]');
+        if (containers.length > 0) {
+            containers.forEach(render);
+            return;
+        }
+
+        const container = document.createElement('div');
+        Object.assign(container.dataset, script.dataset);
+        script.insertAdjacentElement('afterend', container);
+        render(container);
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+})();
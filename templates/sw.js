@@ -0,0 +1,127 @@
+// SERVICE WORKER
+// Rendered by the build (scripts/lib/pwa.js). Every cache name carries the build id, so a new
+// deploy installs a new worker and the old caches are dropped when it activates.
+
+const VERSION = '<!-- CACHE_VERSION -->';
+const SHELL_CACHE = 'shell-' + VERSION;
+const PAGES_CACHE = 'pages-' + VERSION;
+const DATA_CACHE = 'data-' + VERSION;
+const THUMB_CACHE = 'thumbs-' + VERSION;
+const CURRENT_CACHES = [SHELL_CACHE, PAGES_CACHE, DATA_CACHE, THUMB_CACHE];
+
+// Relative to this file, which sits in the site root
+const PRECACHE_URLS = <!-- PRECACHE_URLS -->;
+const MAX_THUMBNAILS = <!-- MAX_THUMBNAILS -->;
+// Fetched by public/js/app.js; served from the cache while a fresh copy loads
+const DATA_FILES = ['data.json', 'search-index.json'];
+// Language versions other than the default one, e.g. "sv/"
+const LOCALE_PREFIXES = <!-- LOCALE_PREFIXES -->;
+
+const scopeUrl = new URL('./', self.location.href);
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(PRECACHE_URLS))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(
+                names.filter(name => !CURRENT_CACHES.includes(name)).map(name => caches.delete(name))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (url.origin !== scopeUrl.origin || !url.pathname.startsWith(scopeUrl.pathname)) return;
+
+    const path = url.pathname.slice(scopeUrl.pathname.length);
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirstPage(request, url));
+    } else if (DATA_FILES.includes(path)) {
+        event.respondWith(staleWhileRevalidate(event, request));
+    } else if (path.startsWith('img/thumb/')) {
+        event.respondWith(cacheFirstThumbnail(request));
+    } else if (PRECACHE_URLS.includes(path)) {
+        event.respondWith(caches.match(request).then(cached => cached || fetch(request)));
+    }
+});
+
+// "sv/" and "sv/index.html" are the same page
+function pageKey(url) {
+    const key = new URL(url.pathname, url.origin);
+    if (key.pathname.endsWith('/')) key.pathname += 'index.html';
+    return key.href;
+}
+
+// Pages come from the network when possible; offline, the last copy or the locale's front page
+function networkFirstPage(request, url) {
+    return fetch(request)
+        .then(response => {
+            if (response.ok) {
+                const copy = response.clone();
+                caches.open(PAGES_CACHE).then(cache => cache.put(pageKey(url), copy));
+            }
+            return response;
+        })
+        .catch(() =>
+            caches.match(pageKey(url)).then(cached => {
+                if (cached) return cached;
+                const path = url.pathname.slice(scopeUrl.pathname.length);
+                const prefix = LOCALE_PREFIXES.find(locale => path.startsWith(locale)) || '';
+                return caches.match(new URL(prefix + 'index.html', scopeUrl).href)
+                    .then(front => front || Response.error());
+            })
+        );
+}
+
+function staleWhileRevalidate(event, request) {
+    return caches.open(DATA_CACHE).then(cache =>
+        cache.match(request, { ignoreSearch: true }).then(cached => {
+            const update = fetch(request)
+                .then(response => {
+                    if (response.ok) cache.put(request.url.split('?')[0], response.clone());
+                    return response;
+                });
+
+            if (cached) {
+                event.waitUntil(update.catch(() => {}));
+                return cached;
+            }
+            return update;
+        })
+    );
+}
+
+// Thumbnail names are content hashes, so a cached copy never goes stale; only the count is limited
+function cacheFirstThumbnail(request) {
+    return caches.open(THUMB_CACHE).then(cache =>
+        cache.match(request).then(cached => {
+            if (cached) return cached;
+            return fetch(request).then(response => {
+                if (response.ok) {
+                    cache.put(request, response.clone()).then(() => trimCache(cache, MAX_THUMBNAILS));
+                }
+                return response;
+            });
+        })
+    );
+}
+
+// Oldest entries first: Cache.keys() keeps insertion order
+function trimCache(cache, maxEntries) {
+    return cache.keys().then(keys => {
+        if (keys.length <= maxEntries) return;
+        return Promise.all(keys.slice(0, keys.length - maxEntries).map(key => cache.delete(key)));
+    });
+}
@@ -0,0 +1,141 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "child_process";
+import { mkdtemp, writeFile, readFile, rm } from "fs/promises";
+import { tmpdir } from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { diffItems, hasChanges, getUpdatedTimes } from "../scripts/lib/changes.js";
+
+const buildScript = fileURLToPath(new URL("../scripts/build-snapshot.js", import.meta.url));
+
+const item = (id, fields = {}) => ({
+  id,
+  title: "Avaimet",
+  area: "Kallio",
+  category: "KEYS",
+  type: "FOUND",
+  status: "APPROVED",
+  description: "",
+  timestamp: "2026-10-01T10:00:00.000Z",
+  ...fields,
+});
+
+test("lists added, updated, resolved and removed items", () => {
+  const previous = [
+    item("same"),
+    item("edited"),
+    item("closed"),
+    item("gone"),
+    item("reopened", { status: "RESOLVED" }),
+  ];
+  const current = [
+    item("same"),
+    item("edited", { title: "Avainnippu" }),
+    item("closed", { status: "RESOLVED" }),
+    item("reopened"),
+    item("new"),
+  ];
+
+  assert.deepEqual(diffItems(previous, current), {
+    added: ["new"],
+    updated: ["edited", "reopened"],
+    resolved: ["closed"],
+    removed: ["gone"],
+  });
+});
+
+test("treats every configured resolved status as resolved", () => {
+  const previous = [item("a"), item("b", { status: "RESOLVED" })];
+  const current = [item("a", { status: "RETURNED" }), item("b", { status: "RETURNED" })];
+  const changes = diffItems(previous, current, ["RESOLVED", "RETURNED"]);
+
+  assert.deepEqual(changes.resolved, ["a"]);
+  assert.deepEqual(changes.updated, ["b"]);
+});
+
+test("hasChanges is false only for an empty diff", () => {
+  assert.equal(hasChanges({ added: [], updated: [], resolved: [], removed: [] }), false);
+  assert.equal(hasChanges({ added: [], updated: [], resolved: [], removed: ["x"] }), true);
+});
+
+test("keeps the last change time across builds", () => {
+  const buildTimestamp = "2026-10-05T06:00:00.000Z";
+  const previous = {
+    items: [
+      item("same", { updatedAt: "2026-10-03T06:00:00.000Z" }),
+      item("edited", { updatedAt: "2026-10-03T06:00:00.000Z" }),
+      item("closed"),
+      item("legacy"),
+    ],
+  };
+  const current = [
+    item("same"),
+    item("edited", { title: "Avainnippu" }),
+    item("closed", { status: "RESOLVED" }),
+    item("legacy"),
+    item("new", { timestamp: "2026-10-04T12:00:00.000Z" }),
+  ];
+  const times = getUpdatedTimes(previous, current, diffItems(previous.items, current), buildTimestamp);
+
+  assert.deepEqual(Object.fromEntries(times), {
+    same: "2026-10-03T06:00:00.000Z",
+    edited: buildTimestamp,
+    closed: buildTimestamp,
+    legacy: "2026-10-01T10:00:00.000Z",
+    new: "2026-10-04T12:00:00.000Z",
+  });
+  assert.equal(getUpdatedTimes(null, current, diffItems([], []), buildTimestamp).get("edited"), current[1].timestamp);
+});
+
+// Koko build fixtuureilla: ilman muutoksia exit code on 3, jotta workflow voi jättää julkaisun väliin
+test("build exits with 3 when nothing changed since the previous build", async () => {
+  const tempDir = await mkdtemp(path.join(tmpdir(), "lostfound-build-"));
+  const fixtures = path.join(tempDir, "items.json");
+  const previous = path.join(tempDir, "previous.json");
+  const distDir = path.join(tempDir, "dist");
+
+  const build = () =>
+    spawnSync(process.execPath, [buildScript, "--fixtures", fixtures, "--out-dir", distDir, "--previous", previous], {
+      env: {
+        ...process.env,
+        HISTORY_PATH: path.join(tempDir, "history.json"),
+        IMAGE_CACHE_DIR: path.join(tempDir, "images"),
+        REDACTION_REPORT_PATH: path.join(tempDir, "redactions.json"),
+        BUILD_REPORT_PATH: path.join(tempDir, "build-report.json"),
+      },
+      encoding: "utf-8",
+      timeout: 120000,
+    });
+  const readChanges = async () => JSON.parse(await readFile(path.join(distDir, "changes.json"), "utf8"));
+
+  try {
+    const lost = item("Hq8sTn2VbR4m", { type: "LOST" });
+    await writeFile(fixtures, JSON.stringify([item("k3Fz9QwLx2aB"), lost]));
+
+    const first = build();
+    assert.equal(first.status, 0, first.stderr);
+    const baseline = await readChanges();
+    assert.equal(baseline.baseline, true);
+    // --previous-tiedosto luetaan ja kirjoitetaan samaan paikkaan buildin aikaleimalla
+    assert.equal(JSON.parse(await readFile(previous, "utf8")).timestamp, baseline.generatedAt);
+
+    const second = build();
+    assert.equal(second.status, 3, second.stderr);
+    assert.equal((await readChanges()).previous.timestamp, baseline.generatedAt);
+
+    await writeFile(fixtures, JSON.stringify([item("k3Fz9QwLx2aB", { status: "RESOLVED" }), lost]));
+    const third = build();
+    assert.equal(third.status, 0, third.stderr);
+    const changes = await readChanges();
+    assert.deepEqual(changes.resolved, ["k3Fz9QwLx2aB"]);
+    assert.deepEqual(changes.updated, []);
+    const data = JSON.parse(await readFile(path.join(distDir, "data.json"), "utf8"));
+    assert.deepEqual(
+      data.items.map((entry) => [entry.id, entry.updatedAt]),
+      [["k3Fz9QwLx2aB", changes.generatedAt], [lost.id, lost.timestamp]],
+    );
+  } finally {
+    await rm(tempDir, { recursive: true, force: true });
+  }
+});
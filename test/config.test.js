@@ -0,0 +1,91 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, writeFile, rm } from "fs/promises";
+import { tmpdir } from "os";
+import path from "path";
+import { DEFAULT_CONFIG, validateConfig, loadConfig } from "../scripts/lib/config.js";
+
+const errorsFor = (options) => validateConfig({ ...DEFAULT_CONFIG, ...options });
+
+test("accepts the defaults", () => {
+  assert.deepEqual(validateConfig(DEFAULT_CONFIG), []);
+  assert.equal(DEFAULT_CONFIG.collection, "lostItems");
+  assert.deepEqual(DEFAULT_CONFIG.statuses, ["APPROVED", "RESOLVED"]);
+});
+
+test("checks types, patterns and unknown options", () => {
+  assert.deepEqual(errorsFor({ statuses: "APPROVED" }), ["statuses must be of type array, got string"]);
+  assert.deepEqual(errorsFor({ statuses: ["APPROVED", "APPROVED"] }), ["statuses has duplicates: APPROVED"]);
+  assert.deepEqual(errorsFor({ categories: ["keys"] }), [
+    'categories[0] "keys" does not match /^[A-Z][A-Z0-9_]*$/',
+  ]);
+  assert.deepEqual(errorsFor({ siteUrl: "example.org" }), ['siteUrl must be an http(s) URL, got "example.org"']);
+  assert.match(errorsFor({ sitUrl: "https://example.org/" })[0], /^unknown option "sitUrl"/);
+});
+
+test("requires resolved statuses and status labels to match the statuses", () => {
+  assert.deepEqual(errorsFor({ resolvedStatuses: ["RETURNED"] }), [
+    'resolvedStatuses: "RETURNED" is not one of statuses',
+  ]);
+  assert.deepEqual(errorsFor({ statuses: ["APPROVED", "RETURNED"], resolvedStatuses: ["RETURNED"] }), [
+    "statusLabels.RETURNED.fi is required for a status without a built-in label",
+  ]);
+  assert.deepEqual(
+    errorsFor({
+      statuses: ["APPROVED", "RETURNED"],
+      resolvedStatuses: ["RETURNED"],
+      statusLabels: { RETURNED: { fi: "Palautettu", de: "Zurückgegeben" }, LOST: { fi: "Kadonnut" } },
+    }),
+    [
+      "statusLabels.RETURNED.de: unknown locale (expected one of: fi, sv, en)",
+      "statusLabels.LOST is not one of statuses",
+    ],
+  );
+});
+
+test("checks categories, coordinates, nearby areas and the base path", () => {
+  assert.deepEqual(errorsFor({ fallbackCategory: "MISC" }), ['fallbackCategory "MISC" must be one of categories']);
+  assert.deepEqual(errorsFor({ categoryLabels: { BIKE: { fi: "Pyörä" } } }), [
+    "categoryLabels.BIKE is not one of categories",
+  ]);
+  assert.deepEqual(errorsFor({ areaCoordinates: { Kallio: [24.95, 160.18] } }), []);
+  assert.deepEqual(errorsFor({ areaCoordinates: { Kallio: [124.95, 60.18] } }), [
+    "areaCoordinates.Kallio must be [latitude, longitude], got [124.95, 60.18]",
+  ]);
+  assert.deepEqual(errorsFor({ nearbyAreas: { Kallio: ["Sörnäinen", "Kallio"] } }), [
+    "nearbyAreas.Kallio must not list the area itself",
+  ]);
+  assert.deepEqual(errorsFor({ siteUrl: "https://example.org/lostfound/", basePath: "/lostfound/" }), []);
+  assert.deepEqual(errorsFor({ siteUrl: "https://example.org/lostfound/", basePath: "/other/" }), [
+    'basePath "/other/" does not match the path of siteUrl "https://example.org/lostfound/"',
+  ]);
+});
+
+test("loads the file, then environment variables, then CLI overrides", async () => {
+  const rootDir = await mkdtemp(path.join(tmpdir(), "lostfound-config-"));
+  try {
+    await writeFile(
+      path.join(rootDir, "lostfound.config.json"),
+      JSON.stringify({ collection: "items", outDir: "public-dist", siteUrl: "https://example.org/" }),
+    );
+    const { config, file } = await loadConfig({
+      rootDir,
+      env: { PUBLISHED_STATUSES: "APPROVED, RESOLVED", OUT_DIR: "env-dist", SITE_URL: "" },
+      overrides: { outDir: "cli-dist", basePath: undefined },
+    });
+
+    assert.equal(file, path.join(rootDir, "lostfound.config.json"));
+    assert.equal(config.collection, "items");
+    assert.deepEqual(config.statuses, ["APPROVED", "RESOLVED"]);
+    assert.equal(config.outDir, "cli-dist");
+    assert.equal(config.siteUrl, "https://example.org/");
+
+    await assert.rejects(
+      loadConfig({ rootDir, env: { RESOLVED_STATUSES: "CLOSED" } }),
+      /Invalid configuration in .*lostfound\.config\.json:\n {2}- resolvedStatuses: "CLOSED" is not one of statuses/,
+    );
+    await assert.rejects(loadConfig({ rootDir, configPath: path.join(rootDir, "missing.json") }), /not found/);
+  } finally {
+    await rm(rootDir, { recursive: true, force: true });
+  }
+});
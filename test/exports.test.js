@@ -0,0 +1,75 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { csvField, renderCsv, renderNdjson, EXPORT_FIELDS, EXPORT_SCHEMA_VERSION } from "../scripts/lib/exports.js";
+
+const record = (fields = {}) => ({
+  id: "k3Fz9QwLx2aB",
+  type: "FOUND",
+  status: "APPROVED",
+  category: "KEYS",
+  area: "Kallio",
+  title: "Avaimet",
+  description: "",
+  timestamp: "2026-10-01T10:00:00.000Z",
+  url: "https://example.org/items/k3Fz9QwLx2aB.html",
+  imageUrl: null,
+  thumbnailUrl: null,
+  facebookLink: null,
+  instagramLink: null,
+  ...fields,
+});
+
+test("starts the CSV with a BOM and a header ending in schemaVersion", () => {
+  const csv = renderCsv([record()]);
+
+  assert.ok(csv.startsWith("\uFEFFid,type,status,"));
+  assert.equal(csv.slice(1).split("\r\n")[0], [...EXPORT_FIELDS, "schemaVersion"].join(","));
+  assert.equal(
+    csv.split("\r\n")[1],
+    `k3Fz9QwLx2aB,FOUND,APPROVED,KEYS,Kallio,Avaimet,,2026-10-01T10:00:00.000Z,` +
+      `https://example.org/items/k3Fz9QwLx2aB.html,,,,,${EXPORT_SCHEMA_VERSION}`,
+  );
+  assert.ok(csv.endsWith("\r\n"));
+  assert.equal(renderCsv([]), `\uFEFF${[...EXPORT_FIELDS, "schemaVersion"].join(",")}\r\n`);
+});
+
+test("guards values that spreadsheets would run as formulas", () => {
+  assert.equal(csvField("=HYPERLINK(1)"), "'=HYPERLINK(1)");
+  assert.equal(csvField("+358401234567"), "'+358401234567");
+  assert.equal(csvField("-2+3"), "'-2+3");
+  assert.equal(csvField("@SUM(A1)"), "'@SUM(A1)");
+  assert.equal(csvField("\t=1"), "'\t=1");
+  assert.equal(csvField("\r=1"), "\"'\r=1\"");
+  assert.equal(csvField("=1,2"), "\"'=1,2\"");
+  assert.equal(csvField("Avaimet -20%"), "Avaimet -20%");
+
+  const row = renderCsv([record({ title: "=cmd|' /C calc'!A0" })]).split("\r\n")[1];
+  assert.ok(row.includes(",Kallio,'=cmd|' /C calc'!A0,"));
+});
+
+test("quotes separators, quotes, newlines and surrounding spaces", () => {
+  assert.equal(csvField('Reppu "Fjällräven"'), '"Reppu ""Fjällräven"""');
+  assert.equal(csvField("Rivi 1\r\nRivi 2"), '"Rivi 1\r\nRivi 2"');
+  assert.equal(csvField(" Kallio"), '" Kallio"');
+  assert.equal(csvField(null), "");
+  assert.equal(csvField(1), "1");
+
+  const csv = renderCsv([record({ title: 'Reppu "Fjällräven", sininen', description: "Rivi 1\nRivi 2 " })]);
+  const row = csv.split("\r\n")[1];
+
+  assert.ok(row.includes(',"Reppu ""Fjällräven"", sininen","Rivi 1\nRivi 2 ",'));
+});
+
+test("writes one JSON record per line with schemaVersion", () => {
+  const ndjson = renderNdjson([record(), record({ id: "Hq8sTn2VbR4m", title: "Rivi 1\nRivi 2" })]);
+  const lines = ndjson.split("\n");
+
+  assert.equal(lines.length, 3);
+  assert.equal(lines[2], "");
+  assert.deepEqual(JSON.parse(lines[0]), { ...record(), schemaVersion: EXPORT_SCHEMA_VERSION });
+  assert.deepEqual(JSON.parse(lines[1]), {
+    ...record({ id: "Hq8sTn2VbR4m", title: "Rivi 1\nRivi 2" }),
+    schemaVersion: EXPORT_SCHEMA_VERSION,
+  });
+  assert.equal(renderNdjson([]), "");
+});
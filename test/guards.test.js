@@ -0,0 +1,105 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "child_process";
+import { existsSync } from "fs";
+import { mkdtemp, writeFile, readFile, rm } from "fs/promises";
+import { tmpdir } from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { checkPublishGuards } from "../scripts/lib/guards.js";
+
+const buildScript = fileURLToPath(new URL("../scripts/build-snapshot.js", import.meta.url));
+
+const byName = (results) => Object.fromEntries(results.map((result) => [result.name, result]));
+
+test("fails when the item count drops more than the limit", () => {
+  const counts = { documentCount: 10, rejectedCount: 0, previousCount: 10 };
+
+  const half = byName(checkPublishGuards({ ...counts, itemCount: 5 }))["max-drop"];
+  assert.equal(half.passed, true);
+  assert.equal(half.value, 50);
+
+  const drop = byName(checkPublishGuards({ ...counts, itemCount: 4 }))["max-drop"];
+  assert.equal(drop.passed, false);
+  assert.equal(drop.message, "item count dropped 60% (10 → 4), at most 50% allowed");
+
+  const raised = checkPublishGuards({ ...counts, itemCount: 4 }, { maxDropPercent: 60 });
+  assert.equal(byName(raised)["max-drop"].passed, true);
+  // Kasvu ei ole pudotus
+  assert.equal(byName(checkPublishGuards({ ...counts, itemCount: 30 }))["max-drop"].value, 0);
+});
+
+test("skips the drop check without a previous build", () => {
+  const results = byName(checkPublishGuards({ itemCount: 1, documentCount: 1, rejectedCount: 0, previousCount: null }));
+  assert.equal(results["max-drop"], undefined);
+  assert.equal(results["min-items"].passed, true);
+});
+
+test("fails on an empty source", () => {
+  const results = byName(checkPublishGuards({ itemCount: 0, documentCount: 0, rejectedCount: 0, previousCount: 12 }));
+
+  assert.equal(results["min-items"].passed, false);
+  assert.equal(results["min-items"].message, "0 items, at least 1 required");
+  assert.equal(results["max-drop"].passed, false);
+  // Ei dokumentteja, ei hylättyjä: 0/0 ei kaada tarkistusta
+  assert.equal(results["max-rejected"].passed, true);
+});
+
+test("fails when too many documents are rejected", () => {
+  const results = checkPublishGuards({ itemCount: 7, documentCount: 10, rejectedCount: 3, previousCount: null });
+  assert.equal(byName(results)["max-rejected"].passed, false);
+  assert.equal(byName(results)["max-rejected"].value, 30);
+});
+
+test("build refuses to publish a failed guard unless --force is given", async () => {
+  const tempDir = await mkdtemp(path.join(tmpdir(), "lostfound-guards-"));
+  const fixtures = path.join(tempDir, "items.json");
+  const previous = path.join(tempDir, "previous.json");
+  const distDir = path.join(tempDir, "dist");
+  const reportPath = path.join(tempDir, "build-report.json");
+
+  const build = (...extra) =>
+    spawnSync(
+      process.execPath,
+      [buildScript, "--fixtures", fixtures, "--out-dir", distDir, "--previous", previous, ...extra],
+      {
+        env: {
+          ...process.env,
+          HISTORY_PATH: path.join(tempDir, "history.json"),
+          IMAGE_CACHE_DIR: path.join(tempDir, "images"),
+          REDACTION_REPORT_PATH: path.join(tempDir, "redactions.json"),
+          BUILD_REPORT_PATH: reportPath,
+        },
+        encoding: "utf-8",
+        timeout: 120000,
+      },
+    );
+
+  try {
+    const item = (id) => ({
+      id,
+      title: "Avaimet",
+      area: "Kallio",
+      category: "KEYS",
+      type: "FOUND",
+      status: "APPROVED",
+      timestamp: "2026-10-01T10:00:00.000Z",
+    });
+    await writeFile(previous, JSON.stringify({ buildId: "1", items: ["a", "b", "c", "d"].map(item) }));
+    await writeFile(fixtures, JSON.stringify([item("a")]));
+
+    const blocked = build();
+    assert.equal(blocked.status, 1);
+    assert.match(blocked.stderr, /1 publish guard\(s\) failed, refusing to publish/);
+    assert.equal(existsSync(path.join(distDir, "data.json")), false);
+    assert.equal(JSON.parse(await readFile(reportPath, "utf8")).status, "blocked");
+
+    const forced = build("--force");
+    assert.equal(forced.status, 0, forced.stderr);
+    const report = JSON.parse(await readFile(reportPath, "utf8"));
+    assert.equal(report.forced, true);
+    assert.deepEqual(report.guards.filter((guard) => !guard.passed).map((guard) => guard.name), ["max-drop"]);
+  } finally {
+    await rm(tempDir, { recursive: true, force: true });
+  }
+});
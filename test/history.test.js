@@ -0,0 +1,112 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { updateHistory, getStatistics, getHistoryDate, HISTORY_VERSION } from "../scripts/lib/history.js";
+
+const empty = () => ({ version: HISTORY_VERSION, days: [], items: {} });
+
+const item = (id, fields = {}) => ({
+  id,
+  type: "FOUND",
+  category: "KEYS",
+  area: "Kallio",
+  status: "APPROVED",
+  timestamp: "2026-10-01T10:00:00.000Z",
+  ...fields,
+});
+
+// Aamun buildi Helsingin aikaa; päivämäärä vaihtuu Suomen ajassa eikä UTC:ssä
+const build = (history, items, date, buildId = date) =>
+  updateHistory(history, items, { buildId, buildTimestamp: `${date}T06:00:00.000Z` });
+
+test("dates builds and reports in Helsinki time", () => {
+  assert.equal(getHistoryDate("2026-10-01T21:30:00.000Z"), "2026-10-02");
+  assert.equal(getHistoryDate("not a date"), null);
+  assert.equal(getHistoryDate(""), null);
+});
+
+test("records the resolution day only for items seen open", () => {
+  let history = build(empty(), [item("a"), item("b", { status: "RESOLVED" })], "2026-10-02");
+  assert.deepEqual(history.items.a, {
+    type: "FOUND",
+    category: "KEYS",
+    area: "Kallio",
+    reportedOn: "2026-10-01",
+    resolved: false,
+    resolvedOn: null,
+    removedOn: null,
+  });
+  assert.equal(history.items.b.resolved, true);
+  assert.equal(history.items.b.resolvedOn, null);
+
+  history = build(history, [item("a", { status: "RESOLVED" }), item("b", { status: "RESOLVED" })], "2026-10-05");
+  assert.equal(history.items.a.resolvedOn, "2026-10-05");
+  assert.equal(history.items.b.resolvedOn, null);
+
+  // Uudelleen avattu ja taas ratkaistu saa uuden ratkaisupäivän
+  history = build(history, [item("a"), item("b", { status: "RESOLVED" })], "2026-10-06");
+  assert.equal(history.items.a.resolvedOn, null);
+  history = build(history, [item("a", { status: "RESOLVED" }), item("b", { status: "RESOLVED" })], "2026-10-08");
+  assert.equal(history.items.a.resolvedOn, "2026-10-08");
+});
+
+test("marks items removed from the list and clears the mark when they return", () => {
+  let history = build(empty(), [item("a"), item("b")], "2026-10-02");
+  history = build(history, [item("b")], "2026-10-03");
+  assert.equal(history.items.a.removedOn, "2026-10-03");
+  assert.equal(history.items.a.resolved, false);
+
+  // Poistopäivä säilyy seuraavissa buildeissa
+  history = build(history, [item("b")], "2026-10-04");
+  assert.equal(history.items.a.removedOn, "2026-10-03");
+
+  history = build(history, [item("a"), item("b")], "2026-10-05");
+  assert.equal(history.items.a.removedOn, null);
+  assert.equal(history.items.a.reportedOn, "2026-10-01");
+});
+
+test("keeps one record per day and drops data older than two years", () => {
+  let history = build(empty(), [item("a")], "2024-10-01", "1");
+  history = build(history, [item("a"), item("b", { type: "LOST", status: "RESOLVED" })], "2026-10-02", "2");
+  history = build(history, [item("b", { type: "LOST", status: "RESOLVED" })], "2026-10-02", "3");
+
+  assert.deepEqual(history.days, [
+    { date: "2026-10-02", buildId: "3", total: 1, open: 0, resolved: 1, found: 0, lost: 1 },
+  ]);
+
+  const old = build(empty(), [item("old", { timestamp: "2024-09-01T10:00:00.000Z" })], "2024-09-02");
+  const pruned = build(old, [item("a")], "2026-10-02");
+  assert.deepEqual(Object.keys(pruned.items), ["a"]);
+  // Listalla oleva ilmoitus säilyy iästä riippumatta
+  const listed = build(old, [item("old", { timestamp: "2024-09-01T10:00:00.000Z" })], "2026-10-02");
+  assert.deepEqual(Object.keys(listed.items), ["old"]);
+});
+
+test("counts weekly reports, resolution rates and busiest areas", () => {
+  let history = build(
+    empty(),
+    [
+      item("a", { timestamp: "2026-09-28T10:00:00.000Z" }),
+      item("b", { type: "LOST", timestamp: "2026-10-05T10:00:00.000Z" }),
+      item("c", { category: "WALLET", area: "Töölö", timestamp: "2026-10-06T10:00:00.000Z" }),
+    ],
+    "2026-10-06",
+  );
+  const resolved = { status: "RESOLVED" };
+  history = build(history, [item("a", resolved), item("b", { type: "LOST", ...resolved })], "2026-10-09");
+
+  const stats = getStatistics(history, { today: "2026-10-09", weeks: 2 });
+  assert.equal(stats.since, "2026-10-06");
+  assert.equal(stats.tracked, 3);
+  assert.deepEqual(stats.weekly, [
+    { start: "2026-09-28", FOUND: 1, LOST: 0 },
+    { start: "2026-10-05", FOUND: 1, LOST: 1 },
+  ]);
+  assert.deepEqual(stats.categories, [
+    { category: "KEYS", total: 2, resolved: 2, resolutionRate: 1, medianDays: 7.5, timedCount: 2 },
+    { category: "WALLET", total: 1, resolved: 0, resolutionRate: 0, medianDays: null, timedCount: 0 },
+  ]);
+  assert.deepEqual(stats.areas, [
+    { area: "Kallio", total: 2 },
+    { area: "Töölö", total: 1 },
+  ]);
+});
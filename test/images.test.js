@@ -0,0 +1,127 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "http";
+import { mkdtemp, rm, readdir } from "fs/promises";
+import { existsSync } from "fs";
+import { tmpdir } from "os";
+import path from "path";
+import sharp from "sharp";
+import { mirrorImages } from "../scripts/lib/images.js";
+
+// Paikallinen kuvapalvelin Supabasen tilalle: vastaa ETagilla ja 304:llä kuten oikea palvelu
+const server = {
+  etag: '"v1"',
+  body: null,
+  contentType: "image/png",
+  status: 200,
+  requests: [],
+};
+
+let httpServer;
+let baseUrl;
+let tempDir;
+
+function image(color) {
+  return sharp({ create: { width: 40, height: 30, channels: 3, background: color } }).png().toBuffer();
+}
+
+function mirror(urls) {
+  return mirrorImages(
+    urls.map((imageUrl) => ({ imageUrl })),
+    { distDir: path.join(tempDir, "dist"), cacheDir: path.join(tempDir, "cache"), timeout: 5000 },
+  );
+}
+
+before(async () => {
+  tempDir = await mkdtemp(path.join(tmpdir(), "lostfound-images-"));
+  server.body = await image("#ff0000");
+
+  httpServer = createServer((request, response) => {
+    server.requests.push({ url: request.url, ifNoneMatch: request.headers["if-none-match"] });
+    if (server.status !== 200) {
+      response.writeHead(server.status).end();
+    } else if (request.headers["if-none-match"] === server.etag) {
+      response.writeHead(304, { ETag: server.etag }).end();
+    } else {
+      response.writeHead(200, { "Content-Type": server.contentType, ETag: server.etag }).end(server.body);
+    }
+  });
+  await new Promise((resolve) => httpServer.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${httpServer.address().port}`;
+});
+
+after(async () => {
+  await new Promise((resolve) => httpServer.close(resolve));
+  await rm(tempDir, { recursive: true, force: true });
+});
+
+// Testit jatkavat samasta välimuistista, joten ne ajetaan järjestyksessä
+test("downloads, resizes and copies a new image into dist/img", async () => {
+  const url = `${baseUrl}/a.png`;
+  const { images, stats, warnings } = await mirror([url]);
+
+  assert.deepEqual(stats, { downloaded: 1, unchanged: 0, stale: 0, failed: 0 });
+  assert.deepEqual(warnings, []);
+  const entry = images.get(url);
+  assert.match(entry.thumb, /^img\/thumb\/[0-9a-f]{16}-[0-9a-f]{8}\.jpg$/);
+  assert.equal(entry.width, 40);
+  assert.equal(entry.height, 30);
+  assert.ok(existsSync(path.join(tempDir, "dist", entry.thumb)));
+  assert.ok(existsSync(path.join(tempDir, "dist", entry.full)));
+});
+
+test("sends the cached ETag and reuses the cached files on 304", async () => {
+  const url = `${baseUrl}/a.png`;
+  const first = (await mirror([url])).images.get(url);
+  server.requests.length = 0;
+
+  const { images, stats } = await mirror([url]);
+
+  assert.equal(server.requests[0].ifNoneMatch, server.etag);
+  assert.deepEqual(stats, { downloaded: 0, unchanged: 1, stale: 0, failed: 0 });
+  assert.equal(images.get(url).full, first.full);
+  assert.ok(existsSync(path.join(tempDir, "dist", first.full)));
+});
+
+test("replaces the cached copy when the image changes", async () => {
+  const url = `${baseUrl}/a.png`;
+  const before = (await mirror([url])).images.get(url);
+  server.etag = '"v2"';
+  server.body = await image("#0000ff");
+
+  const { images, stats } = await mirror([url]);
+
+  assert.equal(stats.downloaded, 1);
+  assert.notEqual(images.get(url).full, before.full);
+  const cached = await readdir(path.join(tempDir, "cache"));
+  assert.ok(!cached.some((file) => file.startsWith(path.basename(before.full, ".jpg"))));
+});
+
+test("falls back to the cached copy when the server fails", async () => {
+  const url = `${baseUrl}/a.png`;
+  const cached = (await mirror([url])).images.get(url);
+  server.status = 500;
+
+  try {
+    const { images, stats, warnings } = await mirror([url]);
+    assert.deepEqual(stats, { downloaded: 0, unchanged: 0, stale: 1, failed: 0 });
+    assert.match(warnings[0], /HTTP 500, using cached copy/);
+    assert.equal(images.get(url).full, cached.full);
+  } finally {
+    server.status = 200;
+  }
+});
+
+test("rejects a response that is not an image", async () => {
+  const url = `${baseUrl}/page.html`;
+  server.contentType = "text/html";
+
+  try {
+    const { images, stats, warnings } = await mirror([url]);
+    assert.equal(stats.failed, 1);
+    assert.match(warnings[0], /not an image \(text\/html\)/);
+    assert.equal(images.get(url), null);
+  } finally {
+    server.contentType = "image/png";
+  }
+});
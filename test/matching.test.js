@@ -0,0 +1,75 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { findMatches } from "../scripts/lib/matching.js";
+
+const item = (id, fields = {}) => ({
+  id,
+  title: "Musta lompakko",
+  description: "",
+  area: "Kallio",
+  category: "WALLET",
+  type: "LOST",
+  status: "APPROVED",
+  timestamp: "2026-10-01T10:00:00.000Z",
+  ...fields,
+});
+
+const found = (id, fields = {}) => item(id, { type: "FOUND", timestamp: "2026-10-02T10:00:00.000Z", ...fields });
+
+test("scores category, area, time and text and lists the pair both ways", () => {
+  const matches = findMatches([item("lost"), found("found", { title: "Lompakko löytyi" })]);
+
+  // 0.30 + 0.25 + 0.15 * (59/60) + 0.30 * (2 * 1 / 3)
+  assert.deepEqual(matches.get("lost"), [
+    { id: "found", score: 0.9, reasons: ["category", "area", "time", "text"] },
+  ]);
+  assert.deepEqual(matches.get("found"), [
+    { id: "lost", score: 0.9, reasons: ["category", "area", "time", "text"] },
+  ]);
+});
+
+test("does not match items without a word in common", () => {
+  // Sama kategoria, alue ja päivä antaisivat yksinään jo 0.70 pistettä
+  const matches = findMatches([item("lost"), found("found", { title: "Ruskea kukkaro" })]);
+  assert.equal(matches.size, 0);
+});
+
+test("gives less for a nearby area and the fallback category", () => {
+  const nearby = findMatches([item("lost"), found("found", { area: "Sörnäinen" })], {
+    nearbyAreas: { Kallio: ["Sörnäinen"] },
+  });
+  assert.deepEqual(nearby.get("lost"), [
+    { id: "found", score: 0.9, reasons: ["category", "nearby-area", "time", "text"] },
+  ]);
+
+  const other = findMatches([item("lost", { category: "OTHER" }), found("found", { category: "OTHER" })], {
+    minScore: 0,
+  });
+  assert.deepEqual(other.get("lost"), [{ id: "found", score: 0.8, reasons: ["category", "area", "time", "text"] }]);
+});
+
+test("skips pairs outside the time window, below the minimum score or already resolved", () => {
+  const items = [
+    item("lost"),
+    found("early", { timestamp: "2026-09-28T10:00:00.000Z" }),
+    found("late", { timestamp: "2026-12-15T10:00:00.000Z" }),
+    found("resolved", { status: "RESOLVED" }),
+    found("weak", { category: "KEYS", area: "Espoo", title: "Lompakko ja avaimet" }),
+  ];
+  assert.equal(findMatches(items).size, 0);
+  assert.deepEqual(findMatches(items, { minScore: 0.3 }).get("lost").map((match) => match.id), ["weak"]);
+});
+
+test("keeps the best matches first up to the limit", () => {
+  const items = [
+    item("lost", { title: "Musta nahkainen lompakko" }),
+    found("exact", { title: "Musta nahkainen lompakko" }),
+    found("partial", { title: "Lompakko" }),
+    found("far", { title: "Musta nahkainen lompakko", area: "Espoo" }),
+  ];
+  const matches = findMatches(items, { maxMatches: 2 });
+
+  assert.deepEqual(matches.get("lost").map((match) => match.id), ["exact", "partial"]);
+  assert.deepEqual(matches.get("lost").map((match) => match.score), [1, 0.85]);
+  assert.deepEqual(matches.get("far"), [{ id: "lost", score: 0.75, reasons: ["category", "time", "text"] }]);
+});
@@ -0,0 +1,127 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeDocument, normalizeDocuments, resolveImageUrl } from "../scripts/lib/normalize.js";
+
+const options = {
+  statuses: ["APPROVED", "RESOLVED"],
+  supabaseUrl: "https://abc.supabase.co",
+  now: new Date("2026-10-19T12:00:00Z"),
+};
+
+const doc = (data, id = "doc1") => ({
+  id,
+  data: {
+    title: "Avaimet",
+    area: "Kallio",
+    category: "KEYS",
+    type: "FOUND",
+    status: "APPROVED",
+    timestamp: new Date("2026-10-18T10:00:00Z"),
+    ...data,
+  },
+});
+
+test("normalizes a complete document without warnings", () => {
+  const result = normalizeDocument(doc({ description: "  Kolme avainta  ", status: "approved" }), options);
+
+  assert.equal(result.error, null);
+  assert.deepEqual(result.warnings, []);
+  assert.deepEqual(result.item, {
+    id: "doc1",
+    title: "Avaimet",
+    description: "Kolme avainta",
+    area: "Kallio",
+    category: "KEYS",
+    type: "FOUND",
+    status: "APPROVED",
+    timestamp: "2026-10-18T10:00:00.000Z",
+    imageUrl: null,
+    facebookLink: null,
+    instagramLink: null,
+  });
+});
+
+test("reads the type from type, reportType and Finnish aliases", () => {
+  const typeOf = (data) => normalizeDocument(doc({ type: undefined, ...data }), options);
+
+  assert.equal(typeOf({ type: "kadonnut" }).item.type, "LOST");
+  assert.equal(typeOf({ type: "Löytynyt" }).item.type, "FOUND");
+  assert.equal(typeOf({ reportType: "LÖYDETTY" }).item.type, "FOUND");
+  assert.deepEqual(typeOf({ reportType: "LOST" }).warnings, []);
+
+  const unknown = typeOf({ type: "MAYBE", reportType: "LOST" });
+  assert.equal(unknown.item.type, "LOST");
+  assert.deepEqual(unknown.warnings, ['unknown type "MAYBE"']);
+});
+
+test("takes the type from a legacy category and uses the fallback category", () => {
+  const result = normalizeDocument(doc({ type: undefined, category: "lost" }), options);
+
+  assert.equal(result.item.type, "LOST");
+  assert.equal(result.item.category, "OTHER");
+  assert.deepEqual(result.warnings, ['type taken from legacy category "LOST"']);
+});
+
+test("defaults a missing type to FOUND with a warning", () => {
+  const result = normalizeDocument(doc({ type: undefined }), options);
+
+  assert.equal(result.item.type, "FOUND");
+  assert.deepEqual(result.warnings, ["type missing, defaulted to FOUND"]);
+});
+
+test("rejects unpublished statuses and bad timestamps", () => {
+  assert.equal(normalizeDocument(doc({ status: "PENDING" }), options).error, 'status "PENDING" is not published');
+  assert.equal(normalizeDocument(doc({ status: "" }), options).error, "status missing");
+  assert.equal(normalizeDocument(doc({ timestamp: "2026-10-18" }), options).error, "timestamp missing or invalid");
+  assert.equal(normalizeDocument(doc({ timestamp: new Date("nope") }), options).error, "timestamp missing or invalid");
+  assert.equal(normalizeDocument({ id: "", data: {} }, options).error, "missing document id");
+});
+
+test("repairs missing fields and records a warning for each", () => {
+  const result = normalizeDocument(
+    doc({
+      title: " ",
+      area: null,
+      category: "PETS",
+      timestamp: new Date("2026-10-21T12:00:00Z"),
+      facebookLink: "javascript:alert(1)",
+    }),
+    { ...options, fallbackTitle: "Untitled", fallbackArea: "Unknown" },
+  );
+
+  assert.equal(result.error, null);
+  assert.equal(result.item.title, "Untitled");
+  assert.equal(result.item.area, "Unknown");
+  assert.equal(result.item.category, "OTHER");
+  assert.equal(result.item.facebookLink, null);
+  assert.deepEqual(result.warnings.slice(0, 4), [
+    "timestamp 2026-10-21T12:00:00.000Z is in the future",
+    "title missing",
+    "area missing",
+    'unknown category "PETS", using OTHER',
+  ]);
+  assert.match(result.warnings[4], /^invalid facebookLink dropped: /);
+});
+
+test("resolves storage paths against SUPABASE_URL", () => {
+  assert.equal(
+    resolveImageUrl("lost-items/a.jpg", "https://abc.supabase.co"),
+    "https://abc.supabase.co/storage/v1/object/public/lost-items/a.jpg",
+  );
+  assert.equal(resolveImageUrl("https://cdn.example/a.jpg", ""), "https://cdn.example/a.jpg");
+
+  const withoutUrl = normalizeDocument(doc({ imageUrl1: "lost-items/a.jpg" }), { ...options, supabaseUrl: "" });
+  assert.equal(withoutUrl.item.imageUrl, null);
+  assert.deepEqual(withoutUrl.warnings, ["imageUrl1 is a storage path but SUPABASE_URL is not set, image dropped"]);
+});
+
+test("splits documents into items, rejected and repaired", () => {
+  const { items, rejected, repaired } = normalizeDocuments(
+    [doc({}, "ok"), doc({ status: "DRAFT" }, "draft"), doc({ title: "" }, "untitled")],
+    options,
+  );
+
+  assert.deepEqual(items.map((item) => item.id), ["ok", "untitled"]);
+  assert.deepEqual(rejected, [{ id: "draft", error: 'status "DRAFT" is not published', warnings: [] }]);
+  assert.deepEqual(repaired, [{ id: "untitled", warnings: ["title missing"] }]);
+});
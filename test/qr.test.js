@@ -0,0 +1,80 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { encodeQr, renderQrSvg } from "../scripts/lib/qr.js";
+
+const toRows = ({ modules }) => modules.map((row) => row.map((dark) => (dark ? "#" : ".")).join(""));
+
+// "lostfound", taso M, maski 2; verrattu toisen QR-kirjaston tulokseen
+const LOSTFOUND_M_MASK_2 = [
+  "#######..###..#######",
+  "#.....#...#...#.....#",
+  "#.###.#.##.##.#.###.#",
+  "#.###.#.#.....#.###.#",
+  "#.###.#.##..#.#.###.#",
+  "#.....#.####..#.....#",
+  "#######.#.#.#.#######",
+  "........#............",
+  "#.#####..###..#####..",
+  "#..#.#.#.#########..#",
+  "########..#.#.#..#.#.",
+  "#..#......####...##..",
+  "#..####.#.#.#.#..#.##",
+  "........#.#.##..#.#.#",
+  "#######..###.....#.#.",
+  "#.....#.##......####.",
+  "#.###.#.#..#....##..#",
+  "#.###.#.#..########..",
+  "#.###.#.#...#.#...#..",
+  "#.....#..##########..",
+  "#######.#.#.#......#.",
+];
+
+test("encodes a known matrix", () => {
+  const qr = encodeQr("lostfound", { mask: 2 });
+  assert.equal(qr.version, 1);
+  assert.equal(qr.size, 21);
+  assert.deepEqual(toRows(qr), LOSTFOUND_M_MASK_2);
+});
+
+test("picks the smallest version that fits", () => {
+  // Versio 1 M: 14 tavua, versio 2 M: 26 tavua
+  assert.equal(encodeQr("a".repeat(14)).version, 1);
+  assert.equal(encodeQr("a".repeat(15)).version, 2);
+  assert.equal(encodeQr("a".repeat(15), { errorCorrection: "L" }).version, 1);
+  // UTF-8: "ä" vie kaksi tavua
+  assert.equal(encodeQr("ä".repeat(8)).version, 2);
+  const url = encodeQr("https://example.github.io/lostfound-snapshot/items/k3Fz9QwLx2aB7nYp1cDe.html");
+  assert.equal(url.size, url.version * 4 + 17);
+});
+
+test("draws finder and timing patterns", () => {
+  const { size, modules } = encodeQr("https://example.org/", { errorCorrection: "Q" });
+  const finder = ["#######", "#.....#", "#.###.#", "#.###.#", "#.###.#", "#.....#", "#######"];
+  for (const [top, left] of [[0, 0], [0, size - 7], [size - 7, 0]]) {
+    const rows = toRows({ modules: modules.slice(top, top + 7).map((row) => row.slice(left, left + 7)) });
+    assert.deepEqual(rows, finder);
+  }
+  for (let i = 8; i < size - 8; i++) {
+    assert.equal(modules[6][i], i % 2 === 0);
+    assert.equal(modules[i][6], i % 2 === 0);
+  }
+});
+
+test("chooses one of the eight masks by penalty", () => {
+  const rows = toRows(encodeQr("lostfound"));
+  const candidates = [0, 1, 2, 3, 4, 5, 6, 7].map((mask) => toRows(encodeQr("lostfound", { mask })));
+  assert.ok(candidates.some((candidate) => candidate.join() === rows.join()));
+});
+
+test("rejects unknown levels and too long text", () => {
+  assert.throws(() => encodeQr("x", { errorCorrection: "X" }), /Unknown QR error correction level: X/);
+  assert.throws(() => encodeQr("x".repeat(3000)), /Text too long for a QR code: 3000 bytes/);
+});
+
+test("renders an SVG with a quiet zone and an escaped label", () => {
+  const svg = renderQrSvg("lostfound", { title: "Avaimet & <lompakot>" });
+  assert.match(svg, /viewBox="0 0 29 29"/);
+  assert.match(svg, /aria-label="Avaimet &amp; &lt;lompakot&gt;"/);
+  // Vasemman yläkulman etsintäkuvion ylärivi alkaa reunuksen jälkeen
+  assert.match(svg, /<path d="M4 4h7v1h-7z/);
+});
@@ -0,0 +1,86 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { redactText, redactItems, getStrictness } from "../scripts/lib/redact.js";
+
+const standard = (text) => redactText(text).text;
+const strict = (text) => redactText(text, { strict: true }).text;
+
+test("masks email addresses and Finnish phone numbers", () => {
+  assert.equal(standard("Soita 040 123 4567 tai matti@example.fi"), "Soita [puhelinnumero] tai [sähköposti]");
+  assert.equal(standard("Numero +358 40 1234567."), "Numero [puhelinnumero].");
+});
+
+test("does not mistake dates for phone numbers", () => {
+  assert.equal(standard("Löytyi 01-10-2026 asemalta"), "Löytyi 01-10-2026 asemalta");
+  assert.equal(standard("Kadonnut 05 10 2026"), "Kadonnut 05 10 2026");
+  assert.equal(standard("Kadonnut 05.10.2026 klo 14"), "Kadonnut 05.10.2026 klo 14");
+  assert.equal(strict("Löytyi 01-10-2026 12 kpl"), "Löytyi 01-10-2026 12 kpl");
+  assert.equal(standard("Soita 050 123 4567 tai 09 123 4567"), "Soita [puhelinnumero] tai [puhelinnumero]");
+});
+
+test("masks an IBAN with a valid checksum in any letter case", () => {
+  assert.equal(standard("Tili FI21 1234 5600 0007 85 lompakossa"), "Tili [tilinumero] lompakossa");
+  assert.equal(standard("tili fi21 1234 5600 0007 85"), "tili [tilinumero]");
+  assert.equal(standard("Tili FI2112345600000785"), "Tili [tilinumero]");
+  // Väärä tarkistussumma peitetään vain tiukalla tasolla
+  assert.equal(standard("FI21 1234 5600 0007 86"), "FI21 1234 5600 0007 86");
+  assert.equal(strict("FI21 1234 5600 0007 86"), "[tilinumero]");
+});
+
+test("masks card numbers and personal identity codes by checksum", () => {
+  assert.equal(standard("Kortti 4111 1111 1111 1111"), "Kortti [kortin numero]");
+  assert.equal(standard("Kortti 4111 1111 1111 1112"), "Kortti 4111 1111 1111 1112");
+  assert.equal(standard("Hetu 131052-308T"), "Hetu [henkilötunnus]");
+  assert.equal(standard("Hetu 131052-308A"), "Hetu 131052-308A");
+});
+
+test("masks long numbers only in strict mode and never dates", () => {
+  assert.equal(standard("Viite 123456789"), "Viite 123456789");
+  assert.equal(strict("Viite 123456789"), "Viite [numero]");
+  assert.equal(strict("Asiakasnumero 123-456-789"), "Asiakasnumero [numero]");
+  assert.equal(strict("Numero 12345678"), "Numero 12345678");
+  assert.equal(strict("Kadonnut 2026-10-12 Kampissa"), "Kadonnut 2026-10-12 Kampissa");
+  assert.equal(strict("Löytyi 2026-10-12 2 kpl"), "Löytyi 2026-10-12 2 kpl");
+});
+
+test("masks names after a cue word and keeps the cue", () => {
+  assert.equal(standard("Kortissa nimi Matti Virtanen"), "Kortissa nimi [nimi]");
+  assert.equal(standard("Omistaja: Liisa"), "Omistaja: [nimi]");
+  assert.equal(standard("Name: Anna Smith"), "Name: [nimi]");
+  assert.equal(standard("owner:Liisa"), "owner:[nimi]");
+  // Englanninkieliset vihjeet vaativat kaksoispisteen
+  assert.equal(standard("Brand name Nokia, owner Matti"), "Brand name Nokia, owner Matti");
+});
+
+test("masks common first name pairs only in strict mode", () => {
+  assert.equal(standard("Ajokortti: Pekka Korhonen"), "Ajokortti: Pekka Korhonen");
+  assert.equal(strict("Ajokortti: Pekka Korhonen"), "Ajokortti: [nimi]");
+});
+
+test("reports findings with partially hidden values", () => {
+  const { findings } = redactText("Soita 0401234567");
+  assert.deepEqual(findings, [{ kind: "phone", preview: "04******67" }]);
+});
+
+test("uses the strict level for documents and wallets", () => {
+  assert.equal(getStrictness("DOCUMENTS"), "strict");
+  assert.equal(getStrictness("WALLET"), "strict");
+  assert.equal(getStrictness("KEYS"), "standard");
+
+  const items = [
+    { id: "a", category: "WALLET", title: "Lompakko", description: "Sisällä Pekka Korhonen kortti" },
+    { id: "b", category: "KEYS", title: "Avaimet", description: "Pekka Korhonen" },
+  ];
+  const { items: redacted, report } = redactItems(items);
+
+  assert.equal(redacted[0].description, "Sisällä [nimi] kortti");
+  assert.equal(redacted[1], items[1]);
+  assert.deepEqual(report, [
+    {
+      id: "a",
+      category: "WALLET",
+      strictness: "strict",
+      findings: [{ field: "description", kind: "name", preview: "Pe*** ******en" }],
+    },
+  ]);
+});
@@ -0,0 +1,81 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFile } from "fs/promises";
+import { stemWord, stem, SUFFIXES, MIN_STEM } from "../scripts/lib/text.js";
+import { buildSearchIndex, SEARCH_INDEX_VERSION } from "../scripts/lib/search.js";
+
+const item = (id, title, description = "") => ({ id, title, description });
+
+test("strips the longest matching suffix", () => {
+  assert.equal(stemWord("laukussaan"), "lauku");
+  assert.equal(stemWord("avaimineen"), "avaim");
+  assert.equal(stemWord("takkeihin"), "take");
+  assert.equal(stemWord("kadulla"), "kadu");
+  assert.equal(stemWord("asemalle"), "asema");
+  assert.equal(stemWord("puhelimeksi"), "puhelime");
+  for (let i = 1; i < SUFFIXES.length; i++) {
+    assert.ok(SUFFIXES[i - 1].length >= SUFFIXES[i].length, `"${SUFFIXES[i]}" listed after a shorter suffix`);
+  }
+});
+
+test("strips the suffix before merging double letters", () => {
+  assert.equal(stemWord("lompakossa"), "lompako");
+  assert.equal(stemWord("lompakosta"), "lompako");
+  assert.equal(stemWord("lompakko"), "lompako");
+  assert.equal(stemWord("kaupassa"), stemWord("kaupasta"));
+  assert.equal(stemWord("reppu"), stemWord("repun"));
+  assert.equal(stem("avaimet"), stem("avainnippu"));
+});
+
+test("keeps at least the minimum stem length", () => {
+  assert.equal(MIN_STEM, 3);
+  assert.equal(stemWord("kissa"), "kis");
+  assert.equal(stemWord("auto"), "auto");
+  assert.equal(stemWord("tie"), "tie");
+});
+
+test("indexes titles with a higher weight than descriptions", () => {
+  const index = buildSearchIndex(
+    [
+      item("a", "Musta lompakko", "Löytyi bussista, sisällä kortteja"),
+      item("b", "Avaimet", "Kolme avainta ja musta avaimenperä"),
+    ],
+    { buildId: "42" },
+  );
+
+  assert.equal(index.version, SEARCH_INDEX_VERSION);
+  assert.equal(index.buildId, "42");
+  assert.deepEqual(index.ids, ["a", "b"]);
+  assert.equal(index.rules.minStem, MIN_STEM);
+  assert.deepEqual(index.rules.suffixes, SUFFIXES);
+  assert.ok(index.rules.stopWords.includes("loytyi"));
+
+  assert.deepEqual(index.terms.must, [0, 3, 1, 1]);
+  assert.deepEqual(index.terms.lompako, [0, 3]);
+  assert.deepEqual(index.terms.avaim, [1, 3]);
+  // Täytesanat ja alle kolmen kirjaimen sanat jäävät pois
+  assert.equal(index.terms.loytyi, undefined);
+  assert.equal(index.terms.ja, undefined);
+  assert.deepEqual(Object.keys(index.terms), Object.keys(index.terms).sort((x, y) => x.localeCompare(y)));
+});
+
+// public/js/app.js vartaloi hakusanat itse; sen on tuotettava samat vartalot kuin indeksissä
+test("the client stemmer agrees with the build", async () => {
+  const source = await readFile(new URL("../public/js/app.js", import.meta.url), "utf8");
+  const extract = (name) => {
+    const match = new RegExp(`\\n( *)function ${name}\\(.*?\\n\\1\\}\\n`, "s").exec(source);
+    assert.ok(match, `function ${name} not found in app.js`);
+    return match[0];
+  };
+  const searchIndex = buildSearchIndex([], { buildId: "test" });
+  const client = new Function("searchIndex", `${extract("normalizeText")}${extract("stemWord")}
+    return (text) => normalizeText(text).split(" ").filter((word) => word.length >= ${MIN_STEM}).map(stemWord);`)(
+    searchIndex,
+  );
+
+  const text =
+    "Lompakossa lompakosta lompakko laukussaan avaimineen takkeihin kadulla asemalle puhelimeksi " +
+    "kissa reppu repun Töölössä Åbossa HÄLYTYSPILLI bussiin bussista kortteja avainnippu";
+  const serverTerms = Object.keys(buildSearchIndex([item("x", text)], { buildId: "test" }).terms).sort();
+  assert.deepEqual([...new Set(client(text))].sort(), serverTerms);
+});
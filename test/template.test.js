@@ -0,0 +1,63 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, mkdir, writeFile, rm } from "fs/promises";
+import { tmpdir } from "os";
+import path from "path";
+import { renderTemplate, loadTemplate, rawHtml, TemplateError } from "../scripts/lib/template.js";
+
+test("fills values, repeats EACH blocks and picks IF/ELSE branches", () => {
+  const html = renderTemplate(
+    "<h1><!-- TITLE --></h1><!-- EACH ITEMS --><li><!-- NAME --> (<!-- TITLE -->)</li><!-- END ITEMS -->" +
+      "<!-- IF EMPTY -->none<!-- ELSE -->some<!-- END EMPTY -->",
+    { TITLE: "Avaimet & <lompakot>", ITEMS: [{ NAME: "a" }, { NAME: "b" }], EMPTY: [] },
+  );
+
+  assert.equal(
+    html,
+    "<h1>Avaimet &amp; &lt;lompakot&gt;</h1><li>a (Avaimet &amp; &lt;lompakot&gt;)</li>" +
+      "<li>b (Avaimet &amp; &lt;lompakot&gt;)</li>some",
+  );
+});
+
+test("keeps ordinary HTML comments", () => {
+  assert.equal(renderTemplate("<!-- Shown on screen only --><p></p>", {}), "<!-- Shown on screen only --><p></p>");
+});
+
+test("fails on a placeholder without a value", () => {
+  assert.throws(
+    () => renderTemplate("<p><!-- MISSING --></p>", { OTHER: 1 }, "page.html"),
+    (error) => error instanceof TemplateError && error.message === "page.html: unknown placeholder <!-- MISSING -->",
+  );
+});
+
+test("fails on a placeholder left in the output", () => {
+  assert.throws(
+    () => renderTemplate("<div><!-- BODY --></div>", { BODY: rawHtml("<!-- LATER -->") }, "page.html"),
+    (error) => error instanceof TemplateError && /leftover placeholder <!-- LATER -->/.test(error.message),
+  );
+});
+
+test("fails on unbalanced blocks", () => {
+  assert.throws(() => renderTemplate("<!-- EACH ITEMS --><li></li>", { ITEMS: [] }), /unclosed <!-- EACH ITEMS -->/);
+  assert.throws(() => renderTemplate("<!-- IF A --><!-- END B -->", { A: true }), /unexpected <!-- END B -->/);
+  assert.throws(() => renderTemplate("<!-- ELSE -->", {}), /ELSE --> outside of an IF block/);
+});
+
+test("resolves partials and fails on a missing or recursive one", async () => {
+  const templatesDir = await mkdtemp(path.join(tmpdir(), "lostfound-templates-"));
+  try {
+    await mkdir(path.join(templatesDir, "partials"));
+    await writeFile(path.join(templatesDir, "partials", "footer.html"), "<footer><!-- YEAR --></footer>\n");
+    await writeFile(path.join(templatesDir, "partials", "loop.html"), "<!-- INCLUDE loop -->");
+    await writeFile(path.join(templatesDir, "page.html"), "<main></main><!-- INCLUDE footer -->");
+    await writeFile(path.join(templatesDir, "broken.html"), "<!-- INCLUDE header -->");
+    await writeFile(path.join(templatesDir, "recursive.html"), "<!-- INCLUDE loop -->");
+
+    const render = await loadTemplate(templatesDir, "page.html");
+    assert.equal(render({ YEAR: 2026 }), "<main></main><footer>2026</footer>");
+    await assert.rejects(loadTemplate(templatesDir, "broken.html"), /broken\.html: partial "header" not found/);
+    await assert.rejects(loadTemplate(templatesDir, "recursive.html"), /recursive include of partial "loop"/);
+  } finally {
+    await rm(templatesDir, { recursive: true, force: true });
+  }
+});